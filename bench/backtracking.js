@@ -0,0 +1,143 @@
+/**
+ * Прежний матчер для сравнения в бенчмарке: перебор с возвратом без мемоизации и без индекса токенов,
+ * как до ускорения сопоставления. Wildcard перебирает все позиции до конца файла, поэтому время
+ * растёт экспоненциально от числа wildcard в паттерне. Повторяет его алгоритм без трассировки,
+ * объяснения неудач и особого случая `{ ... >>>`; по истечении deadline (по performance.now())
+ * перебор прерывается исключением с deadlineExceeded.
+ */
+import { performance } from 'perf_hooks';
+
+export function findMatchSitesBacktracking(sourceTokens, patternTokens, srcLength, { deadline = Infinity } = {}) {
+  // Специальные случаи: заменить всё и вставка в конце кода
+  if (
+    patternTokens.length === 3 &&
+    patternTokens[0].type === 'inserter' &&
+    patternTokens[1].type === 'wildcard' &&
+    patternTokens[2].type === 'folder'
+  ) {
+    return [{ insertionOffset: 0, deleteOffset: srcLength, captures: {} }];
+  }
+  if (patternTokens.length === 2 && patternTokens[0].type === 'wildcard' && patternTokens[1].type === 'inserter') {
+    return [{ insertionOffset: srcLength, deleteOffset: null, captures: {} }];
+  }
+
+  const sites = new Map();
+  let calls = 0;
+
+  function offsetAt(si) {
+    return si >= sourceTokens.length ? srcLength : sourceTokens[si].startIndex;
+  }
+
+  function canMatch(srcTok, patTok) {
+    if (patTok.type === 'capture') return !/^[{}()[\]]$/.test(srcTok.text);
+    return srcTok.text === patTok.text;
+  }
+
+  function bind(captures, name, from, to) {
+    const tokens = sourceTokens.slice(from, to).map(t => t.text);
+    const prev = captures[name];
+    if (prev && prev.tokens.join('\u0000') !== tokens.join('\u0000')) return null;
+    if (prev) return captures;
+    const start = offsetAt(from);
+    const end = to > from ? sourceTokens[to - 1].startIndex + sourceTokens[to - 1].text.length : start;
+    return { ...captures, [name]: { start, end, tokens } };
+  }
+
+  function recurse(si, pi, currentNestingLevel, state) {
+    // Время проверяется не на каждом вызове: performance.now() заметно дороже самого шага
+    if (++calls % 4096 === 0 && performance.now() > deadline) {
+      throw Object.assign(new Error('Перебор не уложился в отведённое время'), { deadlineExceeded: true });
+    }
+
+    if (pi === patternTokens.length) {
+      const { insertionOffset, deleteOffset, captures } = state;
+      if (insertionOffset != null && !sites.has(insertionOffset)) {
+        sites.set(insertionOffset, { insertionOffset, deleteOffset, captures });
+      }
+      return;
+    }
+
+    const p = patternTokens[pi];
+    if (p.type === 'comment') {
+      recurse(si, pi + 1, currentNestingLevel, state);
+      return;
+    }
+    if (p.type === 'inserter') {
+      recurse(si, pi + 1, currentNestingLevel, { ...state, insertionOffset: offsetAt(si) });
+      return;
+    }
+    if (p.type === 'folder') {
+      recurse(si, pi + 1, currentNestingLevel, { ...state, deleteOffset: offsetAt(si) });
+      return;
+    }
+    if (p.type === 'skipper') {
+      let nextIdx = pi + 1;
+      while (
+        nextIdx < patternTokens.length &&
+        ['comment', 'inserter', 'folder', 'skipper'].includes(patternTokens[nextIdx].type)
+      ) {
+        nextIdx++;
+      }
+      if (p.target) {
+        for (let sj = si; sj < sourceTokens.length; sj++) {
+          if (sourceTokens[sj].text === p.target) {
+            recurse(sj + 1, pi + 1, sourceTokens[sj].nestingLevel, state);
+            return;
+          }
+        }
+        return;
+      } else if (nextIdx < patternTokens.length) {
+        const nextTok = patternTokens[nextIdx];
+        for (let sj = si; sj < sourceTokens.length; sj++) {
+          if (canMatch(sourceTokens[sj], nextTok)) {
+            recurse(sj, pi + 1, sourceTokens[sj].nestingLevel, state);
+            return;
+          }
+        }
+        return;
+      }
+      recurse(sourceTokens.length, pi + 1, currentNestingLevel, state);
+      return;
+    }
+    if (p.type === 'wildcard') {
+      let nextIdx = pi + 1;
+      while (
+        nextIdx < patternTokens.length &&
+        ['wildcard', 'comment', 'folder', 'inserter', 'skipper'].includes(patternTokens[nextIdx].type)
+      ) {
+        nextIdx++;
+      }
+      if (nextIdx >= patternTokens.length) {
+        const captures = p.capture ? bind(state.captures, p.capture, si, sourceTokens.length) : state.captures;
+        if (captures) recurse(sourceTokens.length, nextIdx, currentNestingLevel, { ...state, captures });
+        return;
+      }
+      const nextTok = patternTokens[nextIdx];
+      for (let sj = si; sj < sourceTokens.length; sj++) {
+        if (!canMatch(sourceTokens[sj], nextTok)) continue;
+        if (nextTok.text === '}' && sourceTokens[sj].nestingLevel !== nextTok.nestingLevel) continue;
+        const captures = p.capture ? bind(state.captures, p.capture, si, sj) : state.captures;
+        if (!captures) continue;
+        recurse(sj, pi + 1, sourceTokens[sj].nestingLevel, { ...state, captures });
+      }
+      return;
+    }
+    if (p.type === 'capture') {
+      const captures = si < sourceTokens.length && canMatch(sourceTokens[si], p)
+        ? bind(state.captures, p.capture, si, si + 1)
+        : null;
+      if (captures) recurse(si + 1, pi + 1, sourceTokens[si].nestingLevel, { ...state, captures });
+      return;
+    }
+    if (
+      si < sourceTokens.length &&
+      sourceTokens[si].text === p.text &&
+      (p.type !== 'bracket' || Math.abs(sourceTokens[si].nestingLevel - p.nestingLevel) <= 1)
+    ) {
+      recurse(si + 1, pi + 1, sourceTokens[si].nestingLevel, state);
+    }
+  }
+
+  recurse(0, 0, 0, { insertionOffset: null, deleteOffset: null, captures: {} });
+  return [...sites.values()].sort((a, b) => a.insertionOffset - b.insertionOffset);
+}
@@ -0,0 +1,86 @@
+/**
+ * Бенчмарк сопоставления на больших синтетических исходниках C++: текущий матчер
+ * против прежнего перебора с возвратом (bench/backtracking.js).
+ * Запуск: npm run bench [-- 1000 10000 ... --cap=5000] — размеры исходника в строках
+ * и предел времени прежнего матчера на один паттерн в мс (по умолчанию 5000).
+ * На паттернах с редким точным якорем прежний перебор и так быстр, выигрыш — на wildcard,
+ * которые подходят ко многим местам.
+ */
+import { performance } from 'perf_hooks';
+import { LANGUAGES, lexMatch, getLeafTokens, findMatchSites } from '../index.js';
+import { findMatchSitesBacktracking } from './backtracking.js';
+
+// Сгенерированный файл: много однотипных функций, как у кодогенераторов
+function generateSource(lines) {
+  const out = ['#include <cstdint>', ''];
+  for (let i = 0; out.length < lines; i++) {
+    out.push(
+      `int32_t handler_${i}(int32_t value, int32_t *state) {`,
+      `  int32_t result = value * ${i} + state[${i % 16}];`,
+      '  if (result > 0) {',
+      `    state[${i % 16}] += result;`,
+      '  }',
+      `  return result ^ ${i};`,
+      '}',
+      ''
+    );
+  }
+  return out.join('\n');
+}
+
+const patterns = {
+  'якорь в конце файла': n => `... int32_t handler_${n} ( ... ) {\n>>>`,
+  'три wildcard подряд': n => `... handler_${n} ... if ... return ... ;\n>>>`,
+  'замена с <<<': n => `... handler_${n} ( ... ) { int32_t result = >>> ... <<< ;`,
+  'захваты': n => `... int32_t $name ( int32_t value , int32_t * state ) { ... return result ^ ${n} ;\n>>>`,
+  'все места': () => '... return ... ;\n>>>',
+  'неоднозначные wildcard': () => '... value ... state ... result ... ;\n>>>'
+};
+
+const args = process.argv.slice(2);
+const cap = Number(args.find(a => a.startsWith('--cap='))?.slice('--cap='.length) ?? 5000);
+const sizes = args.map(Number).filter(Boolean);
+const lang = LANGUAGES.cpp;
+
+const RUNS = 3;
+
+// Лучшее время из RUNS запусков: первый запуск платит за прогрев JIT
+function best(run) {
+  let result = null;
+  for (let i = 0; i < RUNS; i++) {
+    const start = performance.now();
+    const sites = run(start);
+    const ms = performance.now() - start;
+    if (!result || ms < result.ms) result = { ms, sites: sites.length };
+  }
+  return result;
+}
+
+// Время прежнего матчера; null — не уложился в cap
+function timeBacktracking(tokens, patternTokens, srcLength) {
+  try {
+    return best(start => findMatchSitesBacktracking(tokens, patternTokens, srcLength, { deadline: start + cap }));
+  } catch (err) {
+    if (!err.deadlineExceeded) throw err;
+    return null;
+  }
+}
+
+const ms = value => `${value.toFixed(1).padStart(9)} мс`;
+
+for (const lines of sizes.length ? sizes : [1000, 5000, 10000]) {
+  const src = generateSource(lines);
+  const last = Math.floor((lines - 2) / 8) - 1;
+  const tokens = getLeafTokens(src, lang);
+  console.log(`${lines} строк, ${tokens.length} токенов`);
+  for (const [name, make] of Object.entries(patterns)) {
+    const patternTokens = lexMatch(make(last), lang);
+    const current = best(() => findMatchSites(tokens, patternTokens, src.length));
+    // Прежний матчер не ограничивал ... блоком, поэтому мест у него может быть больше
+    const old = timeBacktracking(tokens, patternTokens, src.length);
+    const baseline = old
+      ? `${ms(old.ms)}  мест: ${String(old.sites).padEnd(5)} ускорение ×${(old.ms / current.ms).toFixed(1)}`
+      : `> ${cap} мс (прерван)         ускорение > ×${(cap / current.ms).toFixed(0)}`;
+    console.log(`  ${name.padEnd(22)} ${ms(current.ms)}  мест: ${String(current.sites).padEnd(5)} | прежний: ${baseline}`);
+  }
+}
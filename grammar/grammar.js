@@ -2,103 +2,128 @@
  * Tree-sitter grammar for generic C++/TypeScript match-block parsing
  */
 
-const PREC = {
-  STRING: 1,
-  CHAR: 1,
-  COMMENT: 1,
-  OPERATOR: 2, // Приоритет для операторов, чтобы разрешить конфликты
-};
-
 module.exports = grammar({
   name: 'match',
 
   extras: $ => [
     $.comment,
-    /\r?\n|\s+/  // Пробелы и переносы строк
+    /\s/,  // Пробелы и переносы строк
+    /\\\r?\n/  // Продолжение строки в макросе
   ],
 
   conflicts: $ => [
-    [$.inserter, $.operator], // Конфликт между >>> и >>
-    [$.folder, $.operator],   // Конфликт между <<< и <<
+    [$.block_curly, $.stray_bracket],
+    [$.block_paren, $.stray_bracket],
+    [$.block_square, $.stray_bracket],
   ],
 
   rules: {
-    // Корневое правило
-    source_file: $ => repeat($.item),
+    // Корневое правило. Паттерн может начинаться и обрываться внутри блока,
+    // поэтому на верхнем уровне допустимы непарные скобки
+    source_file: $ => repeat(choice($._item, $.stray_bracket)),
 
     // Любой элемент в match-блоке
-    item: $ => choice(
+    _item: $ => choice(
       $.wildcard,
       $.inserter,
       $.folder,
       $.skipper,
+      $.capture,
+      $.capture_span,
       $.block_curly,
       $.block_paren,
       $.block_square,
-      $.block_angle,
+      $._atom
+    ),
+
+    // Одиночный токен исходника
+    _atom: $ => choice(
       $.string_literal,
-      $.char_literal,
-      $.comment,
+      $.template_string,
       $.number_literal,
+      $.directive,
+      $.identifier,
       $.operator,
-      $.punctuation,
-      $.text
+      $.punctuation
     ),
 
-    // Точный wildcard для пропуска кода
-    wildcard: $ => '...',
-    // Маркер вставки: >>>
-    inserter: $ => '>>>',
-    // Маркер удаления/фолдинга: <<<
-    folder: $ => '<<<',
-    // Пропуск до следующего символа
-    skipper: $ => '._.',
+    // Точный wildcard для пропуска кода: ... — в пределах объемлющего блока, .... — без ограничения
+    wildcard: $ => choice('...', '....'),
+    // Маркер вставки: >>>, с номером области — >>>1
+    inserter: $ => token(seq('>>>', optional(/\d+/))),
+    // Маркер удаления/фолдинга: <<<, с номером области — <<<1
+    folder: $ => token(seq('<<<', optional(/\d+/))),
+    // Пропуск до следующего токена или до явно указанного сразу после ._. (.__. — и за пределы блока)
+    skipper: $ => prec.right(seq(field('kind', choice('._.', '.__.')), optional(field('target', $._atom)))),
+
+    // Именованные захваты: $name — один токен, $name... и $name.... — участок как у wildcard
+    capture: $ => token(seq('$', /[A-Za-z_]\w*/)),
+    capture_span: $ => token(seq('$', /[A-Za-z_]\w*/, /\.\.\.\.?/)),
 
     // Вложенные блоки
-    block_curly: $ => seq('{', repeat($.item), '}'),
-    block_paren: $ => seq('(', repeat($.item), ')'),
-    block_square: $ => seq('[', repeat($.item), ']'),
-    block_angle: $ => seq('<', repeat($.item), '>'),
+    block_curly: $ => seq('{', repeat($._item), '}'),
+    block_paren: $ => seq('(', repeat($._item), ')'),
+    block_square: $ => seq('[', repeat($._item), ']'),
+    stray_bracket: $ => choice('{', '}', '(', ')', '[', ']'),
 
-    // Строковые и символьные литералы
+    // Строковые и символьные литералы: кавычки, участки текста и escape-последовательности —
+    // отдельные узлы, как у листьев tree-sitter-cpp и tree-sitter-javascript
     string_literal: $ => choice(
-      seq('"', repeat(choice($.escape_sequence, /[^"\\\n]/)), '"'),
-      seq("'", repeat(choice($.escape_sequence, /[^'\\\n]/)), "'")
+      seq('"', repeat(choice(alias(token.immediate(prec(1, /[^"\\\n]+/)), $.string_content), $.escape_sequence)), '"'),
+      seq("'", repeat(choice(alias(token.immediate(prec(1, /[^'\\\n]+/)), $.string_content), $.escape_sequence)), "'")
     ),
-    char_literal: $ => seq("'", repeat(choice($.escape_sequence, /[^'\\\n]/)), "'"),
-    escape_sequence: $ => token(seq('\\', /./)),
+    template_string: $ => seq(
+      '`',
+      repeat(choice(alias(token.immediate(prec(1, /[^`\\]+/)), $.string_content), $.escape_sequence)),
+      '`'
+    ),
+    // Объединение вариантов C/C++ и JavaScript: \n, \0, \012, \x41, \u0041, \u{1F600}, \U0001F600
+    escape_sequence: $ => token.immediate(prec(1, seq(
+      '\\',
+      choice(
+        /[^xuU]/,
+        /[0-7]{1,3}/,
+        /x[0-9a-fA-F]{1,4}/,
+        /u[0-9a-fA-F]{4}/,
+        /u\{[0-9a-fA-F]+\}/,
+        /U[0-9a-fA-F]{8}/,
+        /\r\n/
+      )
+    ))),
 
     // Комментарии C++
-    comment: $ => choice(
-      token(seq('//', /.*/)),
-      token(seq('/*', /[^*]*\*+([^/*][^*]*\*+)*/, '/'))
-    ),
+    comment: $ => token(choice(
+      seq('//', /.*/),
+      seq('/*', /[^*]*\*+([^/*][^*]*\*+)*/, '/')
+    )),
 
-    // Числовые литералы (целые и с плавающей точкой)
+    // Числовые литералы (целые и с плавающей точкой, с суффиксами)
     number_literal: $ => token(choice(
-      /[0-9]+/,                     // Целые: 123
-      /0[xX][0-9a-fA-F]+/,         // Шестнадцатеричные: 0x1A
-      /0[bB][01]+/,                // Двоичные: 0b1010
-      /[0-7]+/,                    // Восьмеричные: 0123
-      /[0-9]*\.[0-9]+([eE][+-]?[0-9]+)?/ // Плавающая точка: 1.23, .123, 1.23e-4
+      /0[xX][0-9a-fA-F']+[uUlLnN]*/,            // Шестнадцатеричные: 0x1A
+      /0[bB][01']+[uUlLnN]*/,                   // Двоичные: 0b1010
+      /[0-9][0-9']*(\.[0-9]*)?([eE][+-]?[0-9]+)?[uUlLfFnN]*/, // Целые и восьмеричные: 123, 0123, 1.5e3
+      /\.[0-9]+([eE][+-]?[0-9]+)?[fFlL]?/       // Плавающая точка: .123
     )),
 
-    // Операторы C++
-    operator: $ => token(prec(PREC.OPERATOR, choice(
+    // Препроцессор-директива (e.g. #include, #  ifdef)
+    directive: $ => token(seq('#', /[ \t]*[A-Za-z_]\w*/)),
+
+    identifier: $ => /[A-Za-z_]\w*/,
+
+    // Операторы C++ и TypeScript; лишние для конкретного языка дробятся при обходе дерева
+    operator: $ => token(choice(
       '+', '-', '*', '/', '%',
-      '==', '!=', '<=', '>=', '<', '>',
-      '&&', '||', '!',
+      '==', '!=', '<=', '>=', '<', '>', '===', '!==',
+      '&&', '||', '!', '??', '?.',
       '&', '|', '^', '~', '<<', '>>',
       '=', '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=', '<<=', '>>=',
-      '++', '--', '->', '.', '::', '.*', '->*'
-    ))),
+      '**', '**=', '&&=', '||=', '??=',
+      '++', '--', '->', '=>', '.', '::'
+    )),
 
     // Прочая пунктуация
     punctuation: $ => token(choice(
-      ',', ';', '?', ':', '#'
-    )),
-
-    // Текст (идентификаторы и прочее, теперь включая точку)
-    text: $ => token(/[^<>{}\[\]"'\/\s]+/) // Убрали . из исключений
+      ',', ';', '?', ':', '#', '@', '$', '\\'
+    ))
   }
-});
\ No newline at end of file
+});
@@ -0,0 +1,16 @@
+/**
+ * Программный интерфейс smartpatcher: применение Markdown-патчей к исходникам без запуска CLI.
+ */
+export { LANGUAGES, detectLanguage } from './src/languages.js';
+export { lexMatch } from './src/lexer.js';
+export { getLeafTokens, findSyntaxErrors } from './src/source.js';
+export { findInsertionOffset, findMatchSites } from './src/matcher.js';
+export { findFuzzySites } from './src/fuzzy.js';
+export { parseSelector, findSelectorSites } from './src/selector.js';
+export { extractBlocks, extractMessage } from './src/markdown.js';
+export { applyPatch, matchPatch } from './src/apply.js';
+export { unifiedDiff } from './src/diff.js';
+export { formatChangedLines } from './src/format.js';
+export { collectPatchFiles, planBatch, writeBatch } from './src/batch.js';
+export { dirtyFiles, stageFiles, commitFiles, formatPatch } from './src/git.js';
+export { serve } from './src/server.js';
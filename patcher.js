@@ -1,460 +1,467 @@
 #!/usr/bin/env node
 
 /**
- * CLI-утилита на Node.js для применения Markdown-патчей к C++-файлам с учетом вложенности.
+ * CLI-утилита на Node.js для применения Markdown-патчей к C/C++- и TypeScript/JavaScript-файлам с учетом вложенности.
  * Учитывает отступы, расположение `>>>` и уровень вложенности скобок `{}`.
  */
 import fs from 'fs';
 import path from 'path';
 import yargs from 'yargs';
 import { hideBin } from 'yargs/helpers';
-import Parser from 'tree-sitter';
-import Cpp from 'tree-sitter-cpp';
 import { execSync } from 'child_process';
-
-// Лексер для match-блока с учетом вложенности
-function lexMatch(text) {
-  const tokens = [];
-  let i = 0;
-  let nestingLevel = 0; // Уровень вложенности
-
-  // Вспомогательная функция для извлечения следующего токена
-  function extractNextToken(start) {
-    let j = start;
-    while (j < text.length && /\s/.test(text[j])) {
-      j++;
-    }
-    if (j >= text.length) {
-      return { token: null, newPos: j };
-    }
-    // Мета-токены
-    if (['._.', '...', '>>>', '<<<'].includes(text.slice(j, j + 3))) {
-      return { token: null, newPos: j };
-    }
-    // Многосимвольные операторы
-    const multiOp = /^(==|!=|<=|>=|\+\+|--|->|&&|\|\||<<=|>>=|<<|>>|\+=|-=|\*=|\/=|%=|&=|\|=|\^=|::)/.exec(text.slice(j));
-    if (multiOp) {
-      return { token: multiOp[0], newPos: j + multiOp[0].length };
-    }
-    // Идентификатор
-    const id = /^[A-Za-z_]\w*/.exec(text.slice(j));
-    if (id) {
-      return { token: id[0], newPos: j + id[0].length };
-    }
-    // Число
-    const num = /^(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?/.exec(text.slice(j));
-    if (num) {
-      return { token: num[0], newPos: j + num[0].length };
-    }
-    // Одиночный символ
-    return { token: text[j], newPos: j + 1 };
+import { fileURLToPath } from 'url';
+import {
+  LANGUAGES, applyPatch, extractBlocks, extractMessage, unifiedDiff, formatChangedLines, collectPatchFiles, planBatch, writeBatch,
+  dirtyFiles, stageFiles, commitFiles, formatPatch, serve
+} from './index.js';
+import { readJournal, writeJournal, recordEdits, revertEntry } from './src/journal.js';
+import { offsetToLineCol } from './src/text.js';
+import { commandFromTemplate } from './src/format.js';
+
+// Код выхода, когда все патчи уже применены и файл не менялся
+const EXIT_ALREADY_APPLIED = 2;
+const GIT_MODES = ['check', 'stage', 'commit'];
+
+const rel = file => path.relative(process.cwd(), path.resolve(file)).split(path.sep).join('/');
+
+async function runRevert(argv) {
+  const file = argv.file;
+  const journal = readJournal(file);
+  if (journal.entries.length === 0) {
+    throw new Error(`Для ${file} нет журнала патчей (правки, сделанные с --git, откатываются средствами git)`);
+  }
+  let ids;
+  if (argv.all) {
+    ids = journal.entries.map(e => e.id).reverse();
+  } else if (argv.id != null) {
+    ids = [argv.id];
+  } else {
+    ids = [journal.entries[journal.entries.length - 1].id];
   }
 
-  while (i < text.length) {
-    // 1. Пробелы/табуляции/переносы
-    if (/\s/.test(text[i])) {
-      i++;
-      continue;
-    }
-
-    // 2. Мета‑токены
-    if (text.startsWith('._.', i)) {
-      const { token: target, newPos } = extractNextToken(i + 3);
-      tokens.push({ type: 'skipper', text: '._.', nestingLevel, target });
-      i = newPos;
-      continue;
-    }
-    if (text.startsWith('...', i)) {
-      tokens.push({ type: 'wildcard', text: '...', nestingLevel });
-      i += 3;
-      continue;
-    }
-    if (text.startsWith('>>>', i)) {
-      tokens.push({ type: 'inserter', text: '>>>', nestingLevel });
-      i += 3;
-      continue;
-    }
-    if (text.startsWith('<<<', i)) {
-      tokens.push({ type: 'folder', text: '<<<', nestingLevel });
-      i += 3;
-      continue;
-    }
-
-    // 3. Препроцессор‑директива (e.g. #include)
-    const dir = /^#[A-Za-z_]\w*/.exec(text.slice(i));
-    if (dir) {
-      tokens.push({ type: 'directive', text: dir[0], nestingLevel });
-      i += dir[0].length;
-      continue;
-    }
+  // Текст и журнал меняются только в памяти, пока не откатятся все выбранные патчи
+  let text = fs.readFileSync(file, 'utf8');
+  for (const id of ids) {
+    const { result, start } = revertEntry(text, journal, id);
+    const { line, col } = offsetToLineCol(result, start);
+    console.log(`Reverted patch #${id} at ${line}:${col}`);
+    text = result;
+  }
+  fs.writeFileSync(file, text, 'utf8');
+  writeJournal(file, journal);
+}
 
-    // 4. Строковый литерал
-    if (text[i] === '"' || text[i] === "'") {
-      const quote = text[i];
-      let j = i + 1;
-      let stringParts = [];
-      let start = j;
-      while (j < text.length && text[j] !== quote) {
-        if (text[j] === '\\') {
-          // Пропускаем экранированные символы
-          j += 2;
-          continue;
+async function runBatch(argv) {
+  // В режимах dry-run и json stdout занят diff'ом или JSON, поэтому отчёт уходит в stderr
+  const log = argv.dryRun || argv.json ? console.error : console.log;
+
+  const patchFiles = collectPatchFiles(argv.patches);
+  const plan = planBatch(patchFiles, {
+    root: argv.root,
+    fuzzy: argv.fuzzy,
+    verify: argv.verify,
+    trace: argv.verbose ? msg => log(`    ${msg}`) : undefined,
+    onReport: r => {
+      const label = `${rel(r.patchFile)}${r.index != null ? `[${r.index + 1}]` : ''}` +
+        (r.file ? ` -> ${rel(r.file)}` : '');
+      if (r.status === 'applied' || r.status === 'already-applied') {
+        const what = r.status === 'applied' ? 'applied' : 'already applied';
+        for (const site of r.sites) {
+          log(`${label} ${what} at ${site.line}:${site.col}  ${site.lineText}`);
+          if (site.fuzzy) describeFuzzy(site.fuzzy).forEach(line => log(`    ${line}`));
         }
-        // Проверяем на наличие >>>, <<< или ._. внутри строки
-        if (text.startsWith('>>>', j) || text.startsWith('<<<', j) || text.startsWith('._.', j)) {
-          if (start < j) {
-            // Сохраняем текст до мета-токена как часть строки
-            stringParts.push({ type: 'string', text: text.slice(start, j), nestingLevel });
-          }
-          const metaType = text.startsWith('>>>', j) ? 'inserter' : text.startsWith('<<<', j) ? 'folder' : 'skipper';
-          stringParts.push({ type: metaType, text: text.slice(j, j + 3), nestingLevel });
-          j += 3;
-          start = j;
-          continue;
-        }
-        j++;
-      }
-
-      // Сохраняем оставшуюся часть строки, если она есть
-      if (start < j) {
-        stringParts.push({ type: 'string', text: text.slice(start, j), nestingLevel });
-      }
-
-      // Добавляем открывающую кавычку
-      tokens.push({ type: 'string', text: quote, nestingLevel });
-      // Добавляем все части строки и мета-токены
-      tokens.push(...stringParts);
-      // Добавляем закрывающую кавычку, если она есть
-      if (j < text.length && text[j] === quote) {
-        tokens.push({ type: 'string', text: quote, nestingLevel });
-        j++;
+      } else {
+        log(`${label} ${r.status}: ${r.message}`);
       }
-      i = j;
-      continue;
     }
-    
-    // 5. Комментарии
-    if (text.startsWith('//', i)) {
-      const end = text.indexOf('\n', i + 2);
-      tokens.push({ type: 'comment', text: text.slice(i, end < 0 ? undefined : end), nestingLevel });
-      i = end < 0 ? text.length : end;
-      continue;
-    }
-    if (text.startsWith('/*', i)) {
-      const end = text.indexOf('*/', i + 2);
-      tokens.push({ type: 'comment', text: text.slice(i, end < 0 ? undefined : end + 2), nestingLevel });
-      i = end < 0 ? text.length : end + 2;
-      continue;
-    }
-
-    // 6. Многосимвольные операторы
-    const { token: opToken, newPos: opPos } = extractNextToken(i);
-    if (opToken && /^(==|!=|<=|>=|\+\+|--|->|&&|\|\||<<=|>>=|<<|>>|\+=|-=|\*=|\/=|%=|&=|\|=|\^=|::)/.test(opToken)) {
-      tokens.push({ type: 'operator', text: opToken, nestingLevel });
-      i = opPos;
-      continue;
-    }
-
-    // 7. Идентификаторы
-    const { token: idToken, newPos: idPos } = extractNextToken(i);
-    if (idToken && /^[A-Za-z_]\w*/.test(idToken)) {
-      tokens.push({ type: 'identifier', text: idToken, nestingLevel });
-      i = idPos;
-      continue;
+  });
+
+  const changed = [...plan.files].filter(([, { source, text }]) => source !== text);
+  const printJson = extra => process.stdout.write(JSON.stringify({
+    ok: plan.ok,
+    reports: plan.reports.map(({ patchFile, index, file, status, message, sites }) =>
+      ({ patchFile: path.resolve(patchFile), index, file, status, message, sites })),
+    ...extra
+  }, null, 2) + '\n');
+
+  if (!plan.ok) {
+    const failed = plan.reports.filter(r => r.status === 'failed');
+    log(`\nНичего не записано: не применились патчи (${failed.length}):`);
+    for (const r of failed) {
+      log(`  ${rel(r.patchFile)}${r.index != null ? `[${r.index + 1}]` : ''}: ${r.message.split('\n')[0]}`);
     }
+    if (argv.json) printJson({ written: [] });
+    process.exitCode = 1;
+    return;
+  }
+  if (changed.length === 0) {
+    if (argv.json) printJson({ written: [] });
+    process.exitCode = EXIT_ALREADY_APPLIED;
+    return;
+  }
+  assertCommitted(changed.map(([file]) => file), argv);
+
+  const messages = patchFiles.map(file => extractMessage(fs.readFileSync(file, 'utf8'))).filter(Boolean);
+  const message = messages.join('\n\n') || `Apply ${patchFiles.map(file => path.basename(file)).join(', ')}`;
+  if (argv.emitGitPatch) {
+    const changes = changed.map(([file, { source, text }]) => ({ file, source, text }));
+    fs.writeFileSync(argv.emitGitPatch, formatPatch(changes, message), 'utf8');
+    log(`written ${rel(argv.emitGitPatch)}`);
+    if (argv.json) printJson({ written: [], gitPatch: path.resolve(argv.emitGitPatch) });
+    return;
+  }
 
-    // 8. Числа (целые и вещественные)
-    const { token: numToken, newPos: numPos } = extractNextToken(i);
-    if (numToken && /^(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?/.test(numToken)) {
-      tokens.push({ type: 'number', text: numToken, nestingLevel });
-      i = numPos;
-      continue;
+  if (argv.dryRun) {
+    const diff = changed
+      .map(([file, { source, text }]) => unifiedDiff(source, text, {
+        oldName: `a/${rel(file)}`,
+        newName: `b/${rel(file)}`,
+        context: argv.context
+      }))
+      .join('');
+    if (argv.json) {
+      printJson({ written: [], diff });
+    } else {
+      process.stdout.write(diff);
     }
+    return;
+  }
 
-    // 9. Скобки (отслеживаем вложенность)
-    if (/[{(}\[\])]/.test(text[i])) {
-      if (text[i] === '{') nestingLevel++;
-      tokens.push({ type: 'bracket', text: text[i], nestingLevel });
-      if (text[i] === '}') nestingLevel--;
-      i++;
-      continue;
-    }
+  const written = writeBatch(plan, { journal: !argv.git });
+  for (const file of written) log(`written ${rel(file)}`);
+  const commit = finishGit(written, argv, message, log);
+  if (argv.json) printJson({ written, ...(commit && { commit }) });
+}
 
-    // 10. Всё остальное — одиночный символ
-    tokens.push({ type: 'symbol', text: text[i], nestingLevel });
-    i++;
-  }
-  return tokens;
+// --git без значения — только проверка, что целевые файлы закоммичены
+function parseGit(value) {
+  if (value === false || value === undefined) return undefined;
+  if (value === true || value === '') return 'check';
+  if (!GIT_MODES.includes(value)) throw new Error(`--git: режим должен быть ${GIT_MODES.join(', ')}, получено ${value}`);
+  return value;
 }
 
-// Собирает листовые токены из AST C++ с учетом вложенности
-function getLeafTokens(src) {
-  const parser = new Parser();
-  parser.setLanguage(Cpp);
-  const tree = parser.parse(src);
-  const leaves = [];
+// Опции работы с git, общие для применения к одному файлу и пакетного
+function gitOptions(y) {
+  return y
+    .option('git', {
+      describe: 'Не патчить файлы с незакоммиченными изменениями; --git=stage — добавить результат в индекс, ' +
+        '--git=commit — закоммитить его с сообщением из раздела ### message. Журнал отмены в этих режимах не ведётся',
+      coerce: parseGit
+    })
+    .option('force', { type: 'boolean', default: false, describe: 'Патчить и файлы с незакоммиченными изменениями' })
+    .option('emit-git-patch', {
+      type: 'string',
+      describe: 'Не менять рабочее дерево, а записать результат в файл в формате git format-patch (для git am)'
+    })
+    .check(argv => {
+      // Строка вместо исключения — ошибка использования: yargs покажет её вместе со справкой
+      return !(argv.emitGitPatch && (argv.git || argv.dryRun)) || '--emit-git-patch нельзя сочетать с --git и --dry-run';
+    });
+}
 
-  function walk(node, nestingLevel = 0) {
-    if (node.type === 'compound_statement' || node.type === 'class_specifier') {
-      nestingLevel++;
-    }
-    if (node.childCount === 0) {
-      leaves.push({ text: node.text, startIndex: node.startIndex, nestingLevel });
-    } else {
-      for (let i = 0; i < node.childCount; i++) {
-        walk(node.child(i), nestingLevel);
-      }
-    }
+// В режимах --git и --emit-git-patch чужие незакоммиченные правки попали бы в коммит или патч — без --force отказываемся
+function assertCommitted(files, argv) {
+  if (argv.force || !(argv.git || argv.emitGitPatch)) return;
+  const dirty = dirtyFiles(files);
+  if (dirty.length > 0) {
+    throw new Error(`Незакоммиченные изменения в ${dirty.map(rel).join(', ')}. Закоммитьте их или запустите с --force`);
   }
-  walk(tree.rootNode);
-  return leaves;
 }
 
-// Поиск оффсетов вставки и удаления с учетом вложенности
-function findInsertionOffset(sourceTokens, patternTokens, srcLength) {
-  // Проверка на некорректный match-блок
-  for (let i = 0; i < patternTokens.length - 2; i++) {
-    if (
-      patternTokens[i].type === 'wildcard' &&
-      patternTokens[i + 1].type === 'inserter' &&
-      patternTokens[i + 2].type === 'wildcard'
-    ) {
-      throw new Error('Некорректный match-блок.');
-    }
+// После записи файлов: --git=stage добавляет их в индекс, --git=commit коммитит. Возвращает хеш коммита
+function finishGit(files, argv, message, log) {
+  if (argv.git === 'stage') {
+    stageFiles(files);
+    log(`staged ${files.map(rel).join(', ')}`);
+  } else if (argv.git === 'commit') {
+    const commit = commitFiles(files, message);
+    log(`committed ${commit} ${message.split('\n')[0]}`);
+    return commit;
   }
+  return null;
+}
 
-  // Специальный случай: заменить всё
-  if (
-    patternTokens.length === 3 &&
-    patternTokens[0].type === 'inserter' &&
-    patternTokens[1].type === 'wildcard' &&
-    patternTokens[2].type === 'folder'
-  ) {
-    return { insertionOffset: 0, deleteOffset: srcLength };
-  }
-  // Специальный случай: вставка в конце кода
-  if (
-    patternTokens.length === 2 &&
-    patternTokens[0].type === 'wildcard' &&
-    patternTokens[1].type === 'inserter'
-  ) {
-    return { insertionOffset: srcLength, deleteOffset: null };
-  }
+async function main() {
+  await yargs(hideBin(process.argv))
+    .command('$0', 'Применить Markdown-патч к файлу', applyOptions, runApply)
+    .command('revert <file>', 'Откатить патч по журналу рядом с файлом', y => y
+      .positional('file', { type: 'string', describe: 'Пропатченный файл (--out)' })
+      .option('id', { type: 'number', describe: 'Номер патча в журнале (по умолчанию — последний)' })
+      .option('all', { type: 'boolean', describe: 'Откатить все патчи из журнала' })
+      .conflicts('id', 'all'), runRevert)
+    .command('apply <patches..>', 'Применить набор Markdown-патчей к нескольким файлам: все или ни одного', y => gitOptions(y
+      .positional('patches', { type: 'string', describe: 'Каталог с .md, glob-шаблон или Markdown-файлы' })
+      .option('root', { type: 'string', default: '.', describe: 'Каталог, от которого отсчитываются пути ### file:' })
+      .option('dry-run', {
+        alias: 'diff',
+        type: 'boolean',
+        default: false,
+        describe: 'Ничего не записывать, а вывести unified diff по всем файлам'
+      })
+      .option('context', { alias: 'U', type: 'number', default: 3, describe: 'Число строк контекста в diff' })
+      .option('verify', {
+        type: 'boolean',
+        default: true,
+        describe: 'Проверять, что патчи не добавили синтаксических ошибок (--no-verify — пропустить)'
+      })
+      .option('json', { type: 'boolean', default: false, describe: 'Вывести отчёт по патчам в JSON' })
+      .option('fuzzy', {
+        describe: 'Если точного совпадения нет, применить патч к самому похожему участку со сходством не ниже порога ' +
+          '(--fuzzy — порог 0.8, --fuzzy=0.7 — свой)',
+        coerce: parseFuzzy
+      })
+      .option('verbose', {
+        alias: 'v',
+        type: 'boolean',
+        default: false,
+        describe: 'Показывать, как раскрываются wildcard и skipper при сопоставлении'
+      })), runBatch)
+    .command('serve', 'Сервер JSON-RPC через stdin/stdout для плагинов редакторов: match, preview, apply', y => y, () => serve())
+    .strict()
+    // Ошибки самих команд не должны сопровождаться справкой по опциям
+    .fail((msg, err, y) => {
+      if (err && err.name !== 'YError') throw err;
+      y.showHelp();
+      console.error(`\n${msg ?? err.message}`);
+      process.exit(1);
+    })
+    .parseAsync();
+}
 
-  let insertionOffset = null;
-  let deleteOffset = null;
+function applyOptions(y) {
+  return gitOptions(y
+    .option('src', { alias: 's', demandOption: true })
+    .option('mp', { alias: 'm', demandOption: true })
+    .option('out', { alias: 'o', type: 'string', describe: 'Куда записать результат (с --git по умолчанию — в --src)' })
+    .option('dry-run', {
+      alias: 'diff',
+      type: 'boolean',
+      default: false,
+      describe: 'Не записывать --out, а вывести unified diff относительно --src'
+    })
+    .option('context', { alias: 'U', type: 'number', default: 3, describe: 'Число строк контекста в diff' })
+    .option('occurrence', {
+      alias: 'n',
+      type: 'number',
+      describe: 'Номер места вставки (с 1), если паттерн подходит к нескольким'
+    })
+    .option('all', { type: 'boolean', describe: 'Применить патч ко всем найденным местам' })
+    .conflicts('occurrence', 'all')
+    .option('fuzzy', {
+      describe: 'Если точного совпадения нет, применить патч к самому похожему участку со сходством не ниже порога ' +
+        '(--fuzzy — порог 0.8, --fuzzy=0.7 — свой)',
+      coerce: parseFuzzy
+    })
+    .option('lang', {
+      alias: 'l',
+      choices: Object.keys(LANGUAGES),
+      describe: 'Язык исходника (по умолчанию определяется по расширению --src)'
+    })
+    .option('verify', {
+      type: 'boolean',
+      default: true,
+      describe: 'Проверять синтаксис результата и не записывать его, если патч добавил ошибки (--no-verify — пропустить)'
+    })
+    .option('editor', {
+      alias: 'e',
+      type: 'string',
+      describe: 'Чем открыть результат: none, vscode или шаблон команды с {file}, {line}, {col} ' +
+        '(по умолчанию vscode, а с --json — none)'
+    })
+    .option('formatter', {
+      alias: 'f',
+      type: 'string',
+      describe: 'Прогнать изменённые строки через форматтер: шаблон команды с {file}, {startLine}, {endLine}, ' +
+        'текст подаётся на stdin и читается из stdout (например, clang-format --lines={startLine}:{endLine} --assume-filename={file})'
+    })
+    .option('json', {
+      type: 'boolean',
+      default: false,
+      describe: 'Вывести результат в JSON: оффсеты и диапазон правки (строки с 1, колонки с 0)'
+    })
+    .option('verbose', {
+      alias: 'v',
+      type: 'boolean',
+      default: false,
+      describe: 'Показывать, как раскрываются wildcard и skipper при сопоставлении'
+    }))
+    .conflicts('emit-git-patch', 'out')
+    .check(argv => {
+      if (!argv.dryRun && !argv.out && !argv.git && !argv.emitGitPatch) {
+        throw new Error('Требуется --out (или --dry-run, --git, --emit-git-patch)');
+      }
+      return true;
+    });
+}
 
-  function recurse(si, pi, currentNestingLevel = 0) {
-    if (pi === patternTokens.length) {
-      return insertionOffset;
-    }
+async function runApply(argv) {
+  // В режимах dry-run и json stdout занят diff'ом или JSON, поэтому отчёт уходит в stderr
+  const log = argv.dryRun || argv.json ? console.error : console.log;
 
-    const p = patternTokens[pi];
-    // Пропускаем комментарии
-    if (p.type === 'comment') {
-      return recurse(si, pi + 1, currentNestingLevel);
-    }
-    // Inserter — маркер вставки
-    if (p.type === 'inserter') {
-      insertionOffset = (si >= sourceTokens.length)
-        ? srcLength
-        : sourceTokens[si].startIndex;
-      return recurse(si, pi + 1, currentNestingLevel);
-    }
-    // Folder (<<<) — маркер удаления
-    if (p.type === 'folder') {
-      deleteOffset = (si >= sourceTokens.length)
-        ? srcLength
-        : sourceTokens[si].startIndex;
-      return recurse(si, pi + 1, currentNestingLevel);
-    }
-    // Skipper (._.) — пропуск до первого вхождения target или до следующего токена
-    if (p.type === 'skipper') {
-      let nextIdx = pi + 1;
-      while (
-        nextIdx < patternTokens.length &&
-        ['comment', 'inserter', 'folder', 'skipper'].includes(patternTokens[nextIdx].type)
-      ) {
-        nextIdx++;
-      }
-      if (p.target) {
-        // Ищем target в sourceTokens
-        for (let sj = si; sj < sourceTokens.length; sj++) {
-          if (sourceTokens[sj].text === p.target) {
-            return recurse(sj + 1, pi + 1, sourceTokens[sj].nestingLevel);
+  const src = fs.readFileSync(argv.src, 'utf8');
+  const md = fs.readFileSync(argv.mp, 'utf8');
+  const pairs = extractBlocks(md);
+  const message = extractMessage(md) ?? `Apply ${path.basename(argv.mp)}`;
+  const out = argv.out ?? argv.src;
+  assertCommitted([argv.emitGitPatch ? argv.src : out], argv);
+
+  // Результаты пар копятся по ходу: если applyPatch бросит исключение, они нужны для JSON-отчёта
+  const reported = [];
+  let patched;
+  try {
+    patched = applyPatch(src, pairs, {
+      filePath: argv.src,
+      lang: argv.lang,
+      occurrence: argv.occurrence,
+      all: argv.all,
+      fuzzy: argv.fuzzy,
+      verify: argv.verify,
+      trace: argv.verbose ? msg => log(`    ${msg}`) : undefined,
+      onResult: result => {
+        reported.push(result);
+        const label = `[${result.index + 1}/${pairs.length}]`;
+        if (result.status === 'applied') {
+          for (const site of result.sites) {
+            log(`${label} applied at ${site.line}:${site.col}  ${site.lineText} (byte offset ${site.insertionOffset})`);
+            if (site.fuzzy) describeFuzzy(site.fuzzy).forEach(line => log(`    ${line}`));
           }
-        }
-        return null; // target не найден
-      } else if (nextIdx < patternTokens.length) {
-        // Нет target, ищем следующий токен в паттерне
-        const nextTok = patternTokens[nextIdx];
-        for (let sj = si; sj < sourceTokens.length; sj++) {
-          if (sourceTokens[sj].text === nextTok.text) {
-            return recurse(sj, pi + 1, sourceTokens[sj].nestingLevel);
+          for (const site of result.alreadyApplied) {
+            log(`${label} already applied at ${site.line}:${site.col}  ${site.lineText}`);
           }
+        } else if (result.status === 'already-applied') {
+          for (const site of result.sites) {
+            log(`${label} already applied at ${site.line}:${site.col}  ${site.lineText}`);
+          }
+        } else {
+          log(`${label} ${result.status}: ${result.message}`);
         }
-        return null; // следующий токен не найден
-      }
-      // Если нет target и нет следующего токена, пропускаем до конца
-      return recurse(sourceTokens.length, pi + 1, currentNestingLevel);
-    }
-    // Wildcard с учетом вложенности
-    if (p.type === 'wildcard') {
-      let nextIdx = pi + 1;
-      while (
-        nextIdx < patternTokens.length &&
-        ['wildcard', 'comment', 'folder', 'inserter', 'skipper'].includes(patternTokens[nextIdx].type)
-      ) {
-        nextIdx++;
-      }
-      if (nextIdx >= patternTokens.length) {
-        return recurse(sourceTokens.length, nextIdx, currentNestingLevel);
-      }
-      const nextTok = patternTokens[nextIdx];
-      for (let sj = si; sj <= sourceTokens.length; sj++) {
-        // Если предыдущий токен в паттерне — '{', а следующий — '>>>', разрешаем вставку сразу после '{'
-        if (
-          pi > 0 &&
-          patternTokens[pi - 1].text === '{' &&
-          nextTok.type === 'inserter'
-        ) {
-          insertionOffset = sourceTokens[sj - 1].startIndex + 1;
-          return recurse(sj, nextIdx, sourceTokens[sj - 1].nestingLevel + 1);
-        }
-        if (sj < sourceTokens.length && sourceTokens[sj].text !== nextTok.text) {
-          continue;
-        }
-        // Если это '}', проверяем, чтобы уровень вложенности совпадал с ожидаемым
-        if (sj < sourceTokens.length && nextTok.text === '}' && sourceTokens[sj].nestingLevel !== nextTok.nestingLevel) {
-          continue;
-        }
-        const r = recurse(sj, pi + 1, sourceTokens[sj]?.nestingLevel || currentNestingLevel);
-        if (r != null) return r;
       }
-      return null;
+    });
+  } catch (err) {
+    if (err.syntaxErrors) {
+      err.message += '\nРезультат не записан; проверку можно отключить через --no-verify';
     }
-    // Позволяем небольшое расхождение в nestingLevel для '{'
-    if (
-      si < sourceTokens.length &&
-      sourceTokens[si].text === p.text &&
-      (p.type !== 'bracket' || Math.abs(sourceTokens[si].nestingLevel - p.nestingLevel) <= 1)
-    ) {
-      return recurse(si + 1, pi + 1, sourceTokens[si].nestingLevel);
+    if (argv.json) {
+      printJson(argv.dryRun ? argv.src : out, false, { results: reported, offsets: [], range: null }, {
+        error: err.message,
+        ...(err.syntaxErrors && { syntaxErrors: err.syntaxErrors })
+      });
     }
-    return null;
+    throw err;
   }
+  const { results, edits, range } = patched;
 
-  recurse(0, 0, 0);
-  if (insertionOffset == null) {
-    throw new Error('Не удалось найти место вставки по паттерну');
+  if (!results.some(r => r.status === 'applied')) {
+    if (results.some(r => r.status === 'already-applied') && !results.some(r => r.status === 'failed')) {
+      if (argv.json) printJson(argv.dryRun ? argv.src : out, false, patched);
+      process.exitCode = EXIT_ALREADY_APPLIED;
+      return;
+    }
+    const err = new Error('Ни один патч не был применён');
+    if (argv.json) printJson(argv.dryRun ? argv.src : out, false, patched, { error: err.message });
+    throw err;
   }
-  return { insertionOffset, deleteOffset };
-}
+  if (results.some(r => r.status === 'failed')) process.exitCode = 1;
 
-// Извлечение match/patch из Markdown
-function extractBlocks(md) {
-  const m = /###.*?\bmatch\b[\s\S]*?```(?:\w+)?\s*([\s\S]*?)```/mi.exec(md);
-  const p = /###.*?\bpatch\b[\s\S]*?```(?:\w+)?\s*([\s\S]*?)```/mi.exec(md);
-  if (!m || !p) throw new Error('Не удалось извлечь блоки');
-  return { match: m[1], patch: p[1] };
-}
+  let { text } = patched;
+  if (argv.formatter) {
+    const formatted = formatChangedLines(src, text, argv.formatter, path.resolve(argv.src));
+    text = formatted.text;
+    if (formatted.edit) edits.push(formatted.edit);
+  }
 
-async function main() {
-  const argv = yargs(hideBin(process.argv))
-    .option('src', { alias: 's', demandOption: true })
-    .option('mp', { alias: 'm', demandOption: true })
-    .option('out', { alias: 'o', demandOption: true }).argv;
+  if (argv.emitGitPatch) {
+    fs.writeFileSync(argv.emitGitPatch, formatPatch([{ file: argv.src, source: src, text }], message), 'utf8');
+    log(`written ${rel(argv.emitGitPatch)}`);
+    if (argv.json) printJson(argv.src, false, patched, { gitPatch: path.resolve(argv.emitGitPatch) });
+    return;
+  }
 
-  const src = fs.readFileSync(argv.src, 'utf8');
-  const md = fs.readFileSync(argv.mp, 'utf8');
-  const { match, patch } = extractBlocks(md);
-
-  const matchLines = match.split(/\r?\n/);
-  const inserterLine = matchLines.find(line => line.includes('>>>')) || '';
-  const isInline = inserterLine.trim() !== '>>>';
-
-  const patt = lexMatch(match);
-  const srcTokens = getLeafTokens(src);
-  const { insertionOffset: offset, deleteOffset } = findInsertionOffset(srcTokens, patt, src.length);
-
-  // --- Подготовка вставки ---
-  let beforeRaw = src.slice(0, offset);
-  const lastNlIdx = beforeRaw.lastIndexOf('\n');
-  const afterLastNl = beforeRaw.slice(lastNlIdx + 1);
-  const indent = afterLastNl.match(/^\s*/)?.[0] || '';
-
-  // Если строка-плейсхолдер пустая — убираем её
-  const isPlaceholderLine = /^[\s]*$/.test(afterLastNl);
-  let beforeBase = isPlaceholderLine
-    ? beforeRaw.slice(0, lastNlIdx + 1)
-    : beforeRaw;
-
-  // Для inline удаляем лишний перенос строки, если он есть
-  if (isInline && beforeBase.endsWith('\n')) {
-    beforeBase = beforeBase.slice(0, -1);
+  if (argv.dryRun) {
+    const name = rel(argv.src);
+    const diff = unifiedDiff(src, text, {
+      oldName: `a/${name}`,
+      newName: `b/${name}`,
+      context: argv.context
+    });
+    if (argv.json) {
+      printJson(argv.src, false, patched, { diff });
+    } else {
+      process.stdout.write(diff);
+    }
+    return;
   }
 
-  // Добавляем перевод строки перед вставкой, если нужно
-  const needsNl = !isInline && offset !== 0 && !beforeBase.endsWith('\n');
+  fs.mkdirSync(path.dirname(out), { recursive: true });
+  fs.writeFileSync(out, text, 'utf8');
+  // С --git откат — средствами git, журнал в рабочем дереве был бы лишним неотслеживаемым файлом
+  if (!argv.git) recordEdits(out, src, edits);
+  const commit = finishGit([out], argv, message, log);
 
-  // Формируем текст патча с учётом inline
-  let patchedLines;
-  if (isInline) {
-    // Inline-вставка: без отступов и без новой строки
-    patchedLines = patch.trim();
-  } else {
-    patchedLines = patch
-      .split(/\r?\n/)
-      .map(line => indent + line)
-      .join('\n');
+  if (argv.json) {
+    printJson(out, true, patched, commit ? { commit } : {});
   }
-  const insertText = (needsNl ? '\n' : '') + patchedLines;
-
-  // Если есть deleteOffset и он после insertOffset — удаляем участок
-  const tailStart = (deleteOffset != null && deleteOffset > offset)
-    ? deleteOffset
-    : offset;
-  const result = beforeBase + insertText + src.slice(tailStart);
-  fs.mkdirSync(path.dirname(argv.out), { recursive: true });
-  fs.writeFileSync(argv.out, result, 'utf8');
-  console.log(`Patched at byte offset ${offset}`);
-
-  // --- Подсветка и позиционирование курсора ---
-  const patchLines = patch.trim().split(/\r?\n/);
-  const patchLineCount = patchLines.length;
-
-  const beforeLines = beforeBase.split('\n');
-  let startLine, startCol, endLine, endCol;
-
-  // Специальный случай: вставка в конец файла
-  if (offset === src.length) {
-    startLine = beforeLines.length + 1; // Начинаем с новой строки после конца файла
-    startCol = 0; // Начало строки
-    endLine = startLine + patchLineCount - 1;
-    endCol = patchLines[patchLineCount - 1].length + indent.length;
-  } else {
-    // Обычная логика для других случаев
-    startLine = beforeLines.length;
-    startCol = isInline
-      ? (beforeLines[beforeLines.length - 1] || '').length
-      : indent.length;
-    endLine = startLine + patchLineCount - 1;
-    endCol = isInline
-      ? startCol + patchLines[0].length
-      : patchLines[patchLineCount - 1].length + indent.length;
+  openInEditor(argv.editor ?? (argv.json ? 'none' : 'vscode'), path.resolve(out), range);
+}
+
+// --fuzzy без значения — порог по умолчанию
+function parseFuzzy(value) {
+  if (value === false || value === undefined) return undefined;
+  if (value === true || value === '') return 0.8;
+  const threshold = Number(value);
+  if (!(threshold > 0 && threshold <= 1)) throw new Error(`--fuzzy: порог должен быть числом от 0 до 1, получено ${value}`);
+  return threshold;
+}
+
+// Чем нечётко найденный участок отличается от match-блока
+function describeFuzzy({ score, runnerUp, differences }) {
+  const lines = [`fuzzy match, similarity ${score.toFixed(2)}` + (runnerUp != null ? ` (next best ${runnerUp.toFixed(2)})` : '')];
+  for (const d of differences) {
+    if (d.kind === 'replaced') lines.push(`  ~ \`${d.expected}\` -> \`${d.found}\` at ${d.at}`);
+    else if (d.kind === 'missing') lines.push(`  - \`${d.expected}\` missing at ${d.at}`);
+    else lines.push(`  + \`${d.found}\` extra at ${d.at}`);
   }
+  return lines;
+}
+
+// Машиночитаемый результат: по нему плагин любого редактора может сам подсветить правку
+function printJson(file, written, { results, offsets, range }, extra = {}) {
+  const report = {
+    file: path.resolve(file),
+    written,
+    results: results.map(({ index, status, message, sites, alreadyApplied }) => ({ index, status, message, sites, alreadyApplied })),
+    offsets,
+    range,
+    ...extra
+  };
+  process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+}
+
+// Открывает файл в редакторе с курсором после последней правки.
+// editor: none, vscode или шаблон команды с {file}, {line}, {col} (а также {startLine}, {startCol}, {endLine}, {endCol});
+// значения подставляются экранированными для оболочки
+function openInEditor(editor, filePath, range) {
+  if (editor === 'none') return;
 
+  const { startLine, startCol, endLine, endCol } = range;
   const cursorLine = endLine;
   const cursorColumn = endCol + 1; // курсор после последнего символа
 
-  const filePath = path.resolve(argv.out);
-  const codeCmd = `code --goto "${filePath}:${cursorLine}:${cursorColumn}"`;
+  try {
+    if (editor !== 'vscode') {
+      const vars = { file: filePath, line: cursorLine, col: cursorColumn, startLine, startCol: startCol + 1, endLine, endCol: endCol + 1 };
+      const cmd = commandFromTemplate(editor, vars);
+      execSync(cmd, { stdio: 'inherit' });
+      return;
+    }
+
+    const codeCmd = commandFromTemplate('code --goto {target}', { target: `${filePath}:${cursorLine}:${cursorColumn}` });
 
-  // Формируем URI для подсветки через расширение
-  const encodedPath = encodeURIComponent(filePath);
-  const uri = `vscode://DK.vscode-smartpatch-highlighter?path=${encodedPath}&startLine=${startLine-1}&startCol=${startCol}&endLine=${endLine-1}&endCol=${endCol}`;
+    // Формируем URI для подсветки через расширение
+    const encodedPath = encodeURIComponent(filePath);
+    const uri = `vscode://DK.vscode-smartpatch-highlighter?path=${encodedPath}&startLine=${startLine-1}&startCol=${startCol}&endLine=${endLine-1}&endCol=${endCol}`;
 
-  try {
     execSync(codeCmd, { stdio: 'inherit' });
 
     // Вызываем URI для подсветки
@@ -472,7 +479,10 @@ async function main() {
   }
 }
 
-main().catch(e => {
-  console.error(e);
-  process.exit(1);
-});
\ No newline at end of file
+// CLI запускается, только если файл исполняется напрямую (в том числе через симлинк из bin)
+if (process.argv[1] && fs.realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main().catch(e => {
+    console.error(e);
+    process.exit(1);
+  });
+}
\ No newline at end of file
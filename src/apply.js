@@ -0,0 +1,541 @@
+/**
+ * Применение пар match/patch к тексту исходника.
+ */
+import { LANGUAGES, detectLanguage } from './languages.js';
+import { lexMatch, markerRegions } from './lexer.js';
+import { getLeafTokens, newSyntaxErrors } from './source.js';
+import { findMatchSites } from './matcher.js';
+import { findFuzzySites } from './fuzzy.js';
+import { parseSelector, findSelectorSites } from './selector.js';
+import { extractBlocks } from './markdown.js';
+import { offsetToLineCol } from './text.js';
+import { indentsAt, reindent, detectIndent } from './indent.js';
+
+/**
+ * Применяет Markdown-патч или готовые пары { match, patch } к тексту исходника, не обращаясь к файловой системе.
+ * Пары применяются по порядку: каждая следующая ищется в уже пропатченном тексте.
+ * Если в match-блоке несколько областей вставки, их патчи передаются массивом patches (### patch 1, ### patch 2, ...).
+ * При нумерованных маркерах (>>>1, <<<2 ... >>>2) patches[N - 1] — патч области N, у областей удаления патча нет.
+ *
+ * Опции: lang — имя языка или объект из LANGUAGES (иначе определяется по filePath),
+ * occurrence / all — выбор места при неоднозначном паттерне, trace — колбэк трассировки сопоставления,
+ * fuzzy — порог сходства (0..1) для нечёткого поиска, если точного совпадения нет (по умолчанию выключен),
+ * verify — проверять, что патч не добавил синтаксических ошибок (по умолчанию true),
+ * onResult — вызывается с результатом каждой пары сразу после её обработки.
+ *
+ * Возвращает новый текст, результаты по парам (applied / already-applied / failed / skipped), список правок,
+ * оффсеты всех мест вставки и диапазон подсветки последней правки (строки с единицы).
+ */
+export function applyPatch(source, markdownOrBlocks, options = {}) {
+  const { filePath, occurrence, all, trace, fuzzy, verify = true, onResult } = options;
+  const lang = typeof options.lang === 'object' ? options.lang : detectLanguage(filePath, options.lang);
+  const pairs = typeof markdownOrBlocks === 'string'
+    ? extractBlocks(markdownOrBlocks)
+    : [].concat(markdownOrBlocks);
+
+  let text = source;
+  let range = null;
+  const results = [];
+  const edits = [];
+  const offsets = [];
+  pairs.forEach(({ match, patch, patches, line }, index) => {
+    let result;
+    if (match == null) {
+      result = { index, status: 'skipped', message: atLine(line, 'нет match-блока к patch-блоку') };
+    } else {
+      try {
+        const applied = applyBlock(text, match, patches ?? patch, { occurrence, all, trace, fuzzy, lang });
+        const siteLocation = siteLocator(text);
+        const locate = ({ insertionOffset, deleteOffset, fuzzy: similarity }) => ({
+          insertionOffset,
+          deleteOffset,
+          ...siteLocation(insertionOffset),
+          ...(similarity && { fuzzy: similarity })
+        });
+        const sites = applied.sites.map(locate);
+        const alreadyApplied = applied.alreadyApplied.map(locate);
+        if (sites.length === 0) {
+          result = { index, status: 'already-applied', message: 'патч уже применён', sites: alreadyApplied };
+        } else {
+          result = { index, status: 'applied', sites, alreadyApplied };
+          offsets.push(...sites.map(({ insertionOffset, deleteOffset }) => ({ insertionOffset, deleteOffset })));
+          edits.push(...applied.edits);
+          range = applied.range;
+          text = applied.result;
+        }
+      } catch (error) {
+        result = error.missingPatch
+          ? { index, status: 'skipped', message: atLine(line, `${error.message} к match-блоку`) }
+          : { index, status: 'failed', message: error.message, error };
+      }
+    }
+    results.push(result);
+    onResult?.(result);
+  });
+
+  if (verify && text !== source) {
+    const syntaxErrors = newSyntaxErrors(source, text, lang);
+    if (syntaxErrors.length > 0) {
+      const list = syntaxErrors
+        .map(e => `  ${e.line}:${e.col}  ${e.kind}${e.text ? ` \`${e.text}\`` : ''}`)
+        .join('\n');
+      throw Object.assign(new Error(`Патч добавляет синтаксические ошибки:\n${list}`), { syntaxErrors });
+    }
+  }
+
+  return { text, results, edits, offsets, range };
+}
+
+// Разбор match-блока: селектор (@function, @class, ...) или токены паттерна и раскладка областей правки
+function parseMatch(match, lang) {
+  const selector = parseSelector(match);
+  // Селектор находит место по дереву и всегда вставляет целые строки
+  if (selector) return { selector, patt: null, layout: [{ kind: 'insert', inline: false, appliedSide: 'both' }] };
+  const patt = lexMatch(match, lang);
+  const markers = patt.filter(t => t.type === 'inserter' || t.type === 'folder');
+  // Маркер на строке с другими токенами — вставка внутрь строки, без переносов и отступов
+  const layout = markerRegions(patt).map(({ kind, open, number }) => ({
+    kind,
+    number,
+    marker: markers[open],
+    inline: !/^>>>\d*$/.test(lineAt(match, markers[open].start).trim()),
+    appliedSide: kind === 'insert' ? appliedSide(patt, patt.indexOf(markers[open])) : null
+  }));
+  return { selector, patt, layout };
+}
+
+// С какой стороны от `>>>` окажется уже вставленный патч, если сопоставить паттерн заново.
+// После точного токена место вставки привязано к нему — патч встанет сразу после маркера ('after');
+// wildcard или skipper перед маркером поглотят патч — он окажется перед маркером ('before').
+// Сторона, где сразу стоят токены паттерна, не проверяется: иначе за патч сошли бы сами токены паттерна.
+// 'none' — маркер зажат между точными токенами: будь патч на месте, паттерн бы не совпал
+function appliedSide(patt, markerIndex) {
+  const isMeta = t => ['comment', 'inserter', 'folder'].includes(t.type);
+  const isFixed = t => t != null && t.type !== 'wildcard' && t.type !== 'skipper';
+  const prev = patt.slice(0, markerIndex).reverse().find(t => !isMeta(t));
+  const next = patt.slice(markerIndex + 1).find(t => !isMeta(t));
+  if (isFixed(prev)) return isFixed(next) ? 'none' : 'after';
+  // Паттерн начинается с маркера: перед точным токеном патч стоял бы перед ним, иначе — в начале файла
+  return prev || isFixed(next) ? 'before' : 'after';
+}
+
+// Сколько патчей нужно match-блоку: по одному на каждую область вставки или замены
+function bodiesNeeded(layout) {
+  return layout.filter(r => r.kind !== 'delete').length;
+}
+
+// Патчи по областям раскладки (у удаления — null). patch — текст патча или массив ### patch 1, ### patch 2, ...
+// Без номеров у маркеров патчи достаются областям вставки и замены по порядку;
+// у нумерованных маркеров патч N из массива относится к области N
+function regionBodies(layout, patch) {
+  const bodies = patch == null ? [] : [].concat(patch);
+  if (!Array.isArray(patch) || !layout.some(r => r.number != null)) {
+    const needed = bodiesNeeded(layout);
+    // Без маркеров паттерн отвергнет сопоставление с более ясным сообщением
+    if (layout.length > 0 && bodies.length !== needed) {
+      // `>>> ... <<< ... >>>` читается как замена и вставка, хотя могло иметься в виду вставка и удаление
+      const ambiguous = layout.some((r, i) => r.kind === 'replace' && layout[i + 1]?.kind === 'insert');
+      throw new Error(
+        `Областей вставки в match-блоке: ${needed}, а патчей к ним: ${bodies.length} (### patch 1, ### patch 2, ...)` +
+        (ambiguous ? '\nМаркеры `>>> ... <<< ... >>>` читаются как замена и вставка; вставку и удаление задайте номерами: `>>>1 ... <<<2 ... >>>2`' : '')
+      );
+    }
+    let next = 0;
+    return layout.map(r => r.kind === 'delete' ? null : bodies[next++]);
+  }
+  bodies.forEach((body, i) => {
+    if (body === undefined) return;
+    const region = layout.find(r => r.number === i + 1);
+    if (!region) throw new Error(`Блок ### patch ${i + 1} лишний: области ${i + 1} в match-блоке нет`);
+    if (region.kind === 'delete') throw new Error(`Блок ### patch ${i + 1} лишний: область ${i + 1} — удаление, патч ей не нужен`);
+  });
+  return layout.map(r => {
+    if (r.kind === 'delete') return null;
+    if (bodies[r.number - 1] === undefined) throw new Error(`Нет блока ### patch ${r.number} к области ${r.number} match-блока`);
+    return bodies[r.number - 1];
+  });
+}
+
+// Все места, к которым подходит match-блок; если точного совпадения нет — места уже применённого патча
+// (см. appliedSites, если известны патчи bodies), а затем нечёткий поиск (при fuzzy)
+function findSites(src, srcTokens, parsed, { trace, fuzzy, lang, bodies }) {
+  const { selector, patt } = parsed;
+  if (selector) return findSelectorSites(src, selector, lang);
+  try {
+    return findMatchSites(srcTokens, patt, src.length, { trace });
+  } catch (err) {
+    if (!err.progress) throw err;
+    const applied = bodies && appliedSites(src, srcTokens, parsed, bodies, lang);
+    if (applied) return applied;
+    err.message += '\n' + explainProgress(src, srcTokens, patt, err.progress);
+    if (fuzzy == null) throw err;
+    // Точного совпадения нет — пробуем нечёткое; если и оно не подошло, объясняем оба
+    try {
+      return findFuzzySites(srcTokens, patt, src.length, { threshold: fuzzy });
+    } catch (fuzzyErr) {
+      err.message += '\n  ' + fuzzyErr.message;
+      throw err;
+    }
+  }
+}
+
+// Маркер вставки, зажатый между точными токенами (appliedSide 'none'): вставленный патч разрывает паттерн,
+// и места нет. Паттерн, где за такими маркерами идут токены их патчей, находит места с уже вставленным патчем;
+// они возвращаются (с пометкой spliced), только если и все остальные области на них уже применены
+function appliedSites(src, srcTokens, { patt, layout }, bodies, lang) {
+  const splicedAt = new Map(layout.flatMap((region, i) => (region.appliedSide === 'none' ? [[region.marker, bodies[i]]] : [])));
+  if (splicedAt.size === 0) return null;
+  const tokens = patt.flatMap(t => {
+    if (!splicedAt.has(t)) return [t];
+    const body = getLeafTokens(splicedAt.get(t), lang).map(leaf => ({
+      type: /^[{}()[\]]$/.test(leaf.text) ? 'bracket' : 'symbol',
+      text: leaf.text,
+      nestingLevel: t.nestingLevel + leaf.nestingLevel,
+      start: t.start
+    }));
+    return [t, ...body];
+  });
+  let sites;
+  try {
+    sites = findMatchSites(srcTokens, tokens, src.length).map(site => ({ ...site, spliced: true }));
+  } catch {
+    return null;
+  }
+  return sites.every(site => isSiteApplied(srcTokens, siteRegions(site, layout, bodies, src), lang)) ? sites : null;
+}
+
+// Области места вместе с их патчами (у селектора область одна — вставка).
+// bodies — патчи по областям из regionBodies; null, если патчей к паре нет
+function siteRegions(site, layout, bodies, src) {
+  const regions = site.regions ?? [{ kind: 'insert', start: site.insertionOffset, end: site.deleteOffset }];
+  return regions.map((region, i) => ({
+    ...region,
+    inline: layout[i].inline,
+    // На месте, найденном вместе с токенами патча, они стоят сразу после маркера
+    appliedSide: site.spliced && layout[i].appliedSide === 'none' ? 'after' : layout[i].appliedSide,
+    body: bodies?.[i] == null ? null : substituteCaptures(bodies[i], site.captures, src)
+  }));
+}
+
+// Патч уже стоит на месте целиком. Место с удалением не считается применённым никогда:
+// раз паттерн нашёлся, удаляемый участок ещё на месте
+function isSiteApplied(srcTokens, regions, lang) {
+  return regions.every(region =>
+    region.kind !== 'delete' &&
+    isAlreadyApplied(srcTokens, { insertionOffset: region.start, deleteOffset: region.end, side: region.appliedSide }, region.body, lang));
+}
+
+/**
+ * Находит места для пар match/patch, ничего не применяя: каждая пара сопоставляется с исходным текстом.
+ * Нужен редакторам, чтобы подсветить, куда ляжет патч. Опции filePath, lang, fuzzy и trace — как у applyPatch.
+ *
+ * Возвращает по паре { index, status: matched / failed / skipped, message, sites }. У места — области
+ * { kind, start, end, startLine, startCol, endLine, endCol } (строки с единицы, колонки с нуля),
+ * alreadyApplied, если к паре есть все патчи, и fuzzy при нечётком совпадении.
+ */
+export function matchPatch(source, markdownOrBlocks, options = {}) {
+  const { filePath, trace, fuzzy } = options;
+  const lang = typeof options.lang === 'object' ? options.lang : detectLanguage(filePath, options.lang);
+  const pairs = typeof markdownOrBlocks === 'string'
+    ? extractBlocks(markdownOrBlocks)
+    : [].concat(markdownOrBlocks);
+  const srcTokens = getLeafTokens(source, lang);
+
+  return pairs.map(({ match, patch, patches, line }, index) => {
+    if (match == null) return { index, status: 'skipped', message: atLine(line, 'нет match-блока к patch-блоку') };
+    try {
+      const parsed = parseMatch(match, lang);
+      let bodies = null;
+      try {
+        bodies = regionBodies(parsed.layout, patches ?? patch);
+      } catch {
+        // Патчи не полные: места показываются без проверки, применён ли патч
+      }
+      const sites = findSites(source, srcTokens, parsed, { trace, fuzzy, lang, bodies }).map(site => {
+        const regions = siteRegions(site, parsed.layout, bodies, source);
+        return {
+          regions: regions.map(({ kind, start, end }) => ({ kind, start, end: end ?? start, ...rangeOf(source, start, end ?? start) })),
+          ...(bodies && { alreadyApplied: isSiteApplied(srcTokens, regions, lang) }),
+          ...(site.fuzzy && { fuzzy: site.fuzzy })
+        };
+      });
+      return { index, status: 'matched', sites };
+    } catch (error) {
+      return { index, status: 'failed', message: error.message };
+    }
+  });
+}
+
+// Сообщение о паре без блока — со строкой заголовка, если пара извлечена из Markdown
+function atLine(line, message) {
+  return line ? `Строка ${line}: ${message}` : message;
+}
+
+// Диапазон [start, end) в строках (с единицы) и колонках (с нуля), как у диапазона подсветки
+function rangeOf(src, start, end) {
+  const from = offsetToLineCol(src, start);
+  const to = offsetToLineCol(src, end);
+  return { startLine: from.line, startCol: from.col - 1, endLine: to.line, endCol: to.col - 1 };
+}
+
+// Применяет одну пару match/patch к тексту и возвращает новый текст с позицией вставки.
+// patch — текст патча или массив патчей по одному на каждую область вставки или замены match-блока;
+// области удаления (<<< ... >>>) патча не требуют.
+// Если паттерн подходит к нескольким местам, нужно выбрать одно (occurrence, с единицы) либо все (all)
+export function applyBlock(src, match, patch, { occurrence, all = false, trace, fuzzy, lang = LANGUAGES.cpp } = {}) {
+  const srcTokens = getLeafTokens(src, lang);
+  const parsed = parseMatch(match, lang);
+  const { layout } = parsed;
+  const deletesOnly = layout.length > 0 && bodiesNeeded(layout) === 0;
+  if ((patch == null || (Array.isArray(patch) && patch.length === 0)) && !deletesOnly) {
+    throw Object.assign(new Error('нет patch-блока'), { missingPatch: true });
+  }
+  // Блочный патч встаёт целыми строками: без перевода строки в конце (текст из API, а не из блока кода)
+  // он склеился бы со строкой после места вставки
+  const bodies = regionBodies(layout, patch)
+    .map((body, i) => (body && !layout[i].inline && !body.endsWith('\n') ? body + '\n' : body));
+
+  const sites = findSites(src, srcTokens, parsed, { trace, fuzzy, lang, bodies });
+
+  let selected;
+  if (all) {
+    selected = sites;
+  } else if (occurrence != null) {
+    if (occurrence < 1 || occurrence > sites.length) {
+      throw new Error(`Нет вхождения №${occurrence}: найдено мест вставки — ${sites.length}`);
+    }
+    selected = [sites[occurrence - 1]];
+  } else if (sites.length > 1) {
+    const locate = siteLocator(src);
+    const list = sites.map((site, i) => `  #${i + 1} ${describeSite(src, site.insertionOffset, locate)}`).join('\n');
+    throw new Error(
+      `Паттерн неоднозначен, найдено мест вставки: ${sites.length}\n${list}\n` +
+      'Выберите одно через --occurrence N или примените ко всем через --all'
+    );
+  } else {
+    selected = sites;
+  }
+
+  // Места, где патч уже стоит, пропускаем: повторный запуск не должен дублировать вставку
+  const regionsOf = site => siteRegions(site, layout, bodies, src);
+  const alreadyApplied = selected.filter(site => isSiteApplied(srcTokens, regionsOf(site), lang));
+  const pending = selected.filter(site => !alreadyApplied.includes(site));
+  if (pending.length === 0) {
+    return { result: src, offset: null, range: null, sites: [], alreadyApplied, edits: [] };
+  }
+
+  // Применяем с конца файла, чтобы оффсеты ещё не обработанных областей оставались верными.
+  // Разные места могут делить область (общая первая вставка при разных вторых) — она применяется один раз
+  const unique = new Map(pending.flatMap(regionsOf).map(r => [`${r.kind}:${r.start}:${r.end}:${r.body}`, r]));
+  const regions = [...unique.values()].sort((a, b) => b.start - a.start);
+  // Отступы мест вставки считаются сразу по исходному тексту, где и заданы оффсеты областей:
+  // разбор пропатченного текста на каждую вставку сделал бы --all квадратичным
+  const unit = detectIndent(src);
+  const blockInserts = regions.filter(r => r.kind !== 'delete' && !r.inline);
+  const indents = new Map(indentsAt(src, blockInserts.map(r => r.start), lang, unit).map((indent, i) => [blockInserts[i], indent]));
+  let result = src;
+  let first;
+  const edits = [];
+  for (const region of regions) {
+    first = region.kind === 'delete'
+      ? deleteAt(result, region.start, region.end)
+      : insertAt(result, region.start, region.end, region.body, region.inline, indents.get(region), unit);
+    result = first.result;
+    edits.push(first.edit);
+  }
+  return { result, offset: first.offset, range: first.range, sites: pending, alreadyApplied, edits };
+}
+
+// Строка текста, в которой стоит offset
+function lineAt(text, offset) {
+  const end = text.indexOf('\n', offset);
+  return text.slice(text.lastIndexOf('\n', offset - 1) + 1, end < 0 ? text.length : end);
+}
+
+// Патч уже стоит на месте вставки: его токены совпадают с токенами исходника с той стороны от точки вставки,
+// где он оказался бы при повторном сопоставлении (side — см. appliedSide; у селекторов — 'both'),
+// а для замены (>>> ... <<<) — с содержимым заменяемого участка
+function isAlreadyApplied(sourceTokens, { insertionOffset, deleteOffset, side }, patch, lang) {
+  const patchTokens = getLeafTokens(patch, lang).map(t => t.text);
+  if (patchTokens.length === 0) return false;
+
+  const startsAt = from => from >= 0 && patchTokens.every((text, i) => sourceTokens[from + i]?.text === text);
+  // Первый токен не раньше offset (двоичный поиск: с --all проверяется каждое место)
+  const indexAt = offset => {
+    let lo = 0;
+    let hi = sourceTokens.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (sourceTokens[mid].startIndex < offset) lo = mid + 1; else hi = mid;
+    }
+    return lo;
+  };
+
+  const from = indexAt(insertionOffset);
+  if (deleteOffset != null && deleteOffset > insertionOffset) {
+    return indexAt(deleteOffset) - from === patchTokens.length && startsAt(from);
+  }
+  return (
+    ((side === 'after' || side === 'both') && startsAt(from)) ||
+    ((side === 'before' || side === 'both') && startsAt(from - patchTokens.length))
+  );
+}
+
+// Подставляет в текст патча захваченный текст исходника вместо $name и ${name}.
+// Имена, которые не были захвачены, остаются как есть
+function substituteCaptures(patch, captures, src) {
+  return patch.replace(/\$\{([A-Za-z_]\w*)\}|\$([A-Za-z_]\w*)(?:\.\.\.\.?)?/g, (whole, braced, plain) => {
+    const capture = captures[braced || plain];
+    return capture ? src.slice(capture.start, capture.end) : whole;
+  });
+}
+
+// Объясняет неудачу сопоставления: докуда дошёл паттерн и что стояло в исходнике на этом месте
+function explainProgress(src, sourceTokens, patternTokens, { pi, si, found, beyond }) {
+  // Для skipper с целью (`._. foo`) ищется сама цель, а не `._.`
+  const expected = patternTokens[pi];
+  const wanted = expected.type === 'skipper' && expected.target ? expected.target : expected.text;
+  const matched = patternTokens
+    .slice(0, pi)
+    .filter(t => t.type !== 'comment')
+    .map(t => t.text);
+  const offset = si < sourceTokens.length ? sourceTokens[si].startIndex : src.length;
+  const { line, col } = offsetToLineCol(src, offset);
+  const lineText = src.split('\n')[line - 1];
+  const gutter = String(line).length;
+
+  const out = [
+    `  Сопоставлено токенов паттерна: ${pi} из ${patternTokens.length}`,
+    `  Контекст паттерна: ${matched.slice(-6).join(' ')} ⟶ \`${wanted}\``
+  ];
+  if (found) {
+    const actual = si < sourceTokens.length ? `\`${sourceTokens[si].text}\`` : 'конец файла';
+    out.push(`  Ожидалось \`${wanted}\`, найдено ${actual} (строка ${line}, колонка ${col}):`);
+  } else if (beyond) {
+    out.push(
+      `  Токен \`${wanted}\` не встречается до конца блока после строки ${line}, колонки ${col}; ` +
+      'дальше в файле он есть — чтобы выйти за пределы блока, используйте `....` или `.__.`:'
+    );
+  } else {
+    out.push(`  Токен \`${wanted}\` не встречается после строки ${line}, колонки ${col}:`);
+  }
+  out.push(
+    `    ${line} | ${lineText}`,
+    `    ${' '.repeat(gutter)} | ${lineText.slice(0, col - 1).replace(/[^\t]/g, ' ')}^`
+  );
+  return out.join('\n');
+}
+
+// Места вставки для отчёта: строка, колонка и текст строки. Начала строк считаются один раз на текст,
+// чтобы отчёт по всем местам с --all не был квадратичным
+function siteLocator(src) {
+  const starts = [0];
+  for (let i = src.indexOf('\n'); i >= 0; i = src.indexOf('\n', i + 1)) starts.push(i + 1);
+  return offset => {
+    let lo = 0;
+    let hi = starts.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (starts[mid] <= offset) lo = mid; else hi = mid - 1;
+    }
+    const end = lo + 1 < starts.length ? starts[lo + 1] - 1 : src.length;
+    return { line: lo + 1, col: offset - starts[lo] + 1, lineText: src.slice(starts[lo], end).trim() };
+  };
+}
+
+export function describeSite(src, offset, locate = siteLocator(src)) {
+  const { line, col, lineText } = locate(offset);
+  return `${line}:${col}  ${lineText}`;
+}
+
+// Удаляет участок [start, end). Если он занимает целые строки, удаляются и их отступы,
+// а строка после участка сохраняет собственный
+function deleteAt(src, start, end) {
+  const lineStart = offset => src.lastIndexOf('\n', offset - 1) + 1;
+  let from = start;
+  let to = end;
+  if (
+    lineStart(end) > lineStart(start) &&
+    src.slice(lineStart(start), start).trim() === '' &&
+    src.slice(lineStart(end), end).trim() === ''
+  ) {
+    from = lineStart(start);
+    to = lineStart(end);
+  }
+  const result = src.slice(0, from) + src.slice(to);
+  const { line, col } = offsetToLineCol(result, from);
+  const edit = { start: from, deleted: src.slice(from, to), inserted: '' };
+  return { result, offset: from, edit, range: { startLine: line, startCol: col - 1, endLine: line, endCol: col - 1 } };
+}
+
+// Вставляет патч по оффсету (с удалением участка до deleteOffset) и вычисляет диапазон подсветки.
+// indent — отступ места вставки, unit — шаг отступа файла (для inline-вставки не нужны)
+function insertAt(src, offset, deleteOffset, patch, isInline, indent = '', unit) {
+  // --- Подготовка вставки ---
+  let beforeRaw = src.slice(0, offset);
+  const lastNlIdx = beforeRaw.lastIndexOf('\n');
+  const afterLastNl = beforeRaw.slice(lastNlIdx + 1);
+
+  // Если строка-плейсхолдер пустая — убираем её
+  const isPlaceholderLine = /^[\s]*$/.test(afterLastNl);
+  let beforeBase = isPlaceholderLine
+    ? beforeRaw.slice(0, lastNlIdx + 1)
+    : beforeRaw;
+
+  // Для inline удаляем лишний перенос строки, если он есть
+  if (isInline && beforeBase.endsWith('\n')) {
+    beforeBase = beforeBase.slice(0, -1);
+  }
+
+  // Добавляем перевод строки перед вставкой, если нужно
+  const needsNl = !isInline && offset !== 0 && !beforeBase.endsWith('\n');
+
+  // Формируем текст патча с учётом inline
+  let patchedLines;
+  if (isInline) {
+    // Inline-вставка: без отступов и без новой строки
+    patchedLines = patch.trim();
+    indent = '';
+  } else {
+    // Собственный отступ патча заменяем отступом уровня вложенности места вставки в стиле файла
+    patchedLines = reindent(patch, indent, unit);
+    // Отступ строки-плейсхолдера принадлежит коду после вставки — возвращаем его после патча
+    if (isPlaceholderLine && patchedLines.endsWith('\n')) patchedLines += afterLastNl;
+  }
+  const insertText = (needsNl ? '\n' : '') + patchedLines;
+
+  // Если есть deleteOffset и он после insertOffset — удаляем участок
+  const tailStart = (deleteOffset != null && deleteOffset > offset)
+    ? deleteOffset
+    : offset;
+  const result = beforeBase + insertText + src.slice(tailStart);
+
+  // --- Подсветка и позиционирование курсора ---
+  // Строки вставленного текста (для многострочной вставки — уже с отступом)
+  const patchLines = (isInline ? patchedLines : patchedLines.replace(/\s+$/, '')).split('\n');
+  const patchLineCount = patchLines.length;
+
+  const beforeLines = beforeBase.split('\n');
+  let startLine, startCol, endLine, endCol;
+
+  // Специальный случай: вставка в конец файла
+  if (offset === src.length) {
+    startLine = beforeLines.length + 1; // Начинаем с новой строки после конца файла
+    startCol = 0; // Начало строки
+    endLine = startLine + patchLineCount - 1;
+    endCol = patchLines[patchLineCount - 1].length;
+  } else {
+    // Обычная логика для других случаев
+    startLine = beforeLines.length;
+    startCol = isInline
+      ? (beforeLines[beforeLines.length - 1] || '').length
+      : indent.length;
+    endLine = startLine + patchLineCount - 1;
+    endCol = isInline
+      ? startCol + patchLines[0].length
+      : patchLines[patchLineCount - 1].length;
+  }
+
+  const edit = { start: beforeBase.length, deleted: src.slice(beforeBase.length, tailStart), inserted: insertText };
+  return { result, offset, edit, range: { startLine, startCol, endLine, endCol } };
+}
@@ -0,0 +1,168 @@
+/**
+ * Пакетный режим: набор Markdown-патчей к нескольким файлам применяется как одна транзакция —
+ * либо записываются все файлы, либо ни одного.
+ */
+import fs from 'fs';
+import path from 'path';
+import { applyPatch } from './apply.js';
+import { extractBlocks } from './markdown.js';
+import { recordEdits } from './journal.js';
+
+// Перевод glob-шаблона в регулярное выражение: ** — любое число каталогов, * и ? — в пределах имени
+function globToRegExp(glob) {
+  let re = '';
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === '*' && glob[i + 1] === '*') {
+      re += glob[i + 2] === '/' ? '(?:.*/)?' : '.*';
+      i += glob[i + 2] === '/' ? 2 : 1;
+    } else if (c === '*') {
+      re += '[^/]*';
+    } else if (c === '?') {
+      re += '[^/]';
+    } else {
+      re += c.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${re}$`);
+}
+
+function walkFiles(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const full = path.join(dir, entry.name);
+    return entry.isDirectory() ? walkFiles(full) : [full];
+  });
+}
+
+// Markdown-файлы с патчами: каталог (все .md в нём, по имени), glob-шаблон или отдельные файлы.
+// Порядок аргументов сохраняется — в нём патчи и применяются
+export function collectPatchFiles(args) {
+  const files = [];
+  for (const arg of args) {
+    if (/[*?]/.test(arg)) {
+      const normalized = arg.split(path.sep).join('/');
+      const base = normalized.slice(0, normalized.search(/[*?]/)).replace(/[^/]*$/, '') || '.';
+      const re = globToRegExp(normalized.replace(/^\.\//, ''));
+      const matched = walkFiles(base)
+        .map(file => file.split(path.sep).join('/'))
+        .filter(file => re.test(file.replace(/^\.\//, '')))
+        .sort();
+      if (matched.length === 0) throw new Error(`По шаблону ${arg} не найдено ни одного файла`);
+      files.push(...matched);
+    } else if (fs.existsSync(arg) && fs.statSync(arg).isDirectory()) {
+      const matched = fs.readdirSync(arg).filter(name => name.endsWith('.md')).sort();
+      if (matched.length === 0) throw new Error(`В каталоге ${arg} нет .md-файлов`);
+      files.push(...matched.map(name => path.join(arg, name)));
+    } else if (fs.existsSync(arg)) {
+      files.push(arg);
+    } else {
+      throw new Error(`Файл не найден: ${arg}`);
+    }
+  }
+  return [...new Set(files)];
+}
+
+/**
+ * Применяет патчи ко всем файлам в памяти, ничего не записывая.
+ * Пути целевых файлов из ### file: и info-строк отсчитываются от root.
+ * Патчи применяются по порядку, несколько патчей к одному файлу накладываются друг на друга.
+ *
+ * Возвращает { ok, files, reports }: files — Map пути к { source, text, edits }, reports — по одному на пару
+ * { patchFile, index, file, status, message, sites }. ok — все пары применены (или уже были применены).
+ */
+export function planBatch(patchFiles, { root = process.cwd(), fuzzy, verify = true, trace, onReport } = {}) {
+  const files = new Map();
+  const reports = [];
+  const report = entry => {
+    reports.push(entry);
+    onReport?.(entry);
+  };
+
+  for (const patchFile of patchFiles) {
+    let pairs;
+    try {
+      pairs = extractBlocks(fs.readFileSync(patchFile, 'utf8'));
+    } catch (err) {
+      report({ patchFile, index: null, file: null, status: 'failed', message: err.message });
+      continue;
+    }
+
+    // Подряд идущие пары к одному файлу применяются одним вызовом, чтобы проверка синтаксиса видела их вместе
+    const groups = [];
+    pairs.forEach((pair, index) => {
+      const last = groups[groups.length - 1];
+      if (last && last.file === pair.file) {
+        last.pairs.push({ ...pair, index });
+      } else {
+        groups.push({ file: pair.file, pairs: [{ ...pair, index }] });
+      }
+    });
+
+    for (const group of groups) {
+      if (!group.file) {
+        for (const { index } of group.pairs) {
+          report({ patchFile, index, file: null, status: 'failed', message: 'не указан целевой файл (### file: <путь> или ```lang file=<путь>)' });
+        }
+        continue;
+      }
+      const target = path.resolve(root, group.file);
+      if (!files.has(target)) {
+        if (!fs.existsSync(target)) {
+          for (const { index } of group.pairs) {
+            report({ patchFile, index, file: target, status: 'failed', message: `целевой файл не найден: ${group.file}` });
+          }
+          continue;
+        }
+        const source = fs.readFileSync(target, 'utf8');
+        files.set(target, { source, text: source, edits: [] });
+      }
+      const state = files.get(target);
+      try {
+        const patched = applyPatch(state.text, group.pairs, {
+          filePath: target,
+          fuzzy,
+          verify,
+          trace,
+          onResult: result => report({
+            patchFile,
+            index: group.pairs[result.index].index,
+            file: target,
+            status: result.status === 'skipped' ? 'failed' : result.status,
+            message: result.message,
+            sites: result.sites
+          })
+        });
+        state.text = patched.text;
+        state.edits.push(...patched.edits);
+      } catch (err) {
+        report({ patchFile, index: group.pairs[0].index, file: target, status: 'failed', message: err.message });
+      }
+    }
+  }
+
+  const ok = reports.every(r => r.status === 'applied' || r.status === 'already-applied');
+  return { ok, files, reports };
+}
+
+// Записывает изменённые файлы плана и (если journal) журналы отмены. Сначала все файлы пишутся во временные
+// рядом с целевыми, и только когда записаны все — переименовываются поверх, так что ошибка записи
+// не оставляет часть файлов изменёнными
+export function writeBatch({ files }, { journal = true } = {}) {
+  const changed = [...files].filter(([, { source, text }]) => source !== text);
+  const temps = [];
+  try {
+    for (const [file, { text }] of changed) {
+      const temp = path.join(path.dirname(file), `.${path.basename(file)}.smartpatch.tmp`);
+      fs.writeFileSync(temp, text, 'utf8');
+      temps.push(temp);
+    }
+  } catch (err) {
+    for (const temp of temps) fs.rmSync(temp, { force: true });
+    throw err;
+  }
+  changed.forEach(([file, { source, edits }], i) => {
+    fs.renameSync(temps[i], file);
+    if (journal) recordEdits(file, source, edits);
+  });
+  return changed.map(([file]) => file);
+}
@@ -0,0 +1,161 @@
+/**
+ * Построчный diff и вывод в формате unified diff.
+ */
+import { splitLines } from './text.js';
+
+// Построчный diff алгоритмом Майерса в линейной памяти: список операций ' ', '-', '+'.
+// Вместо истории фронтов по каждому d (O(D·(N+M)) памяти) ищется средняя змейка кратчайшего пути,
+// и задача делится ею на две половины — память O(N+M) при любом числе различий
+export function diffLines(a, b) {
+  const ops = [];
+  const size = a.length + b.length;
+  const forward = new Int32Array(2 * size + 2);
+  const backward = new Int32Array(2 * size + 2);
+  diffRange(a, 0, a.length, b, 0, b.length, ops, { forward, backward, offset: size });
+  // Половины стыкуются как придётся, поэтому в каждой группе правок удаляемые строки ставим перед добавленными
+  const result = [];
+  let added = [];
+  for (const o of ops) {
+    if (o.op === '+') {
+      added.push(o);
+      continue;
+    }
+    if (o.op === ' ') {
+      result.push(...added);
+      added = [];
+    }
+    result.push(o);
+  }
+  result.push(...added);
+  return result;
+}
+
+// Diff участков a[aFrom, aTo) и b[bFrom, bTo): операции дописываются в ops по порядку
+function diffRange(a, aFrom, aTo, b, bFrom, bTo, ops, fronts) {
+  // Общие начало и конец — контекст, в поиске не участвуют
+  let head = 0;
+  while (aFrom + head < aTo && bFrom + head < bTo && a[aFrom + head] === b[bFrom + head]) head++;
+  let tail = 0;
+  while (aTo - tail > aFrom + head && bTo - tail > bFrom + head && a[aTo - tail - 1] === b[bTo - tail - 1]) tail++;
+  for (let i = 0; i < head; i++) ops.push({ op: ' ', line: a[aFrom + i] });
+  aFrom += head;
+  bFrom += head;
+  aTo -= tail;
+  bTo -= tail;
+
+  if (aFrom === aTo) {
+    for (let j = bFrom; j < bTo; j++) ops.push({ op: '+', line: b[j] });
+  } else if (bFrom === bTo) {
+    for (let i = aFrom; i < aTo; i++) ops.push({ op: '-', line: a[i] });
+  } else {
+    // Оба участка не пусты и различаются с краёв, так что различий не меньше двух и обе половины меньше целого
+    const { x, y, u, v } = middleSnake(a, aFrom, aTo, b, bFrom, bTo, fronts);
+    diffRange(a, aFrom, aFrom + x, b, bFrom, bFrom + y, ops, fronts);
+    for (let i = x; i < u; i++) ops.push({ op: ' ', line: a[aFrom + i] });
+    diffRange(a, aFrom + u, aTo, b, bFrom + v, bTo, ops, fronts);
+  }
+
+  for (let i = tail; i > 0; i--) ops.push({ op: ' ', line: a[aTo + tail - i] });
+}
+
+// Средняя змейка кратчайшего пути правок между a[aFrom, aTo) и b[bFrom, bTo): поиск одновременно с начала
+// и с конца, пока фронты не встретятся на одной диагонали. Возвращает змейку от (x, y) до (u, v)
+// в координатах относительно начала участков
+function middleSnake(a, aFrom, aTo, b, bFrom, bTo, { forward, backward, offset }) {
+  const n = aTo - aFrom;
+  const m = bTo - bFrom;
+  const delta = n - m;
+  const odd = (delta & 1) === 1;
+  // forward[offset + k] — дальний x на диагонали k = x - y с начала; backward[offset + k] — то же с конца
+  // (x и y отсчитываются от концов участков, диагональ k с конца — это delta - k с начала)
+  forward[offset + 1] = 0;
+  backward[offset + 1] = 0;
+  for (let d = 0; d <= Math.ceil((n + m) / 2); d++) {
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && forward[offset + k - 1] < forward[offset + k + 1]))
+        ? forward[offset + k + 1]
+        : forward[offset + k - 1] + 1;
+      let y = x - k;
+      const sx = x;
+      const sy = y;
+      while (x < n && y < m && a[aFrom + x] === b[bFrom + y]) {
+        x++;
+        y++;
+      }
+      forward[offset + k] = x;
+      const back = delta - k;
+      if (odd && back >= -(d - 1) && back <= d - 1 && x + backward[offset + back] >= n) {
+        return { x: sx, y: sy, u: x, v: y };
+      }
+    }
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && backward[offset + k - 1] < backward[offset + k + 1]))
+        ? backward[offset + k + 1]
+        : backward[offset + k - 1] + 1;
+      let y = x - k;
+      const sx = x;
+      const sy = y;
+      while (x < n && y < m && a[aTo - x - 1] === b[bTo - y - 1]) {
+        x++;
+        y++;
+      }
+      backward[offset + k] = x;
+      const front = delta - k;
+      if (!odd && front >= -d && front <= d && x + forward[offset + front] >= n) {
+        return { x: n - x, y: m - y, u: n - sx, v: m - sy };
+      }
+    }
+  }
+  throw new Error('diffLines: средняя змейка не найдена');
+}
+
+// Формирует unified diff с заголовками ханков и заданным числом строк контекста
+export function unifiedDiff(oldText, newText, { oldName, newName, context = 3 } = {}) {
+  const ops = diffLines(splitLines(oldText), splitLines(newText));
+  // Для каждой операции запоминаем номера строк в старом и новом тексте
+  let oi = 0;
+  let ni = 0;
+  for (const o of ops) {
+    o.oldIdx = oi;
+    o.newIdx = ni;
+    if (o.op !== '+') oi++;
+    if (o.op !== '-') ni++;
+  }
+
+  const changed = ops.map((o, i) => (o.op !== ' ' ? i : -1)).filter(i => i >= 0);
+  if (changed.length === 0) return '';
+
+  // Группируем изменения в ханки, объединяя близкие
+  const hunks = [];
+  let from = Math.max(0, changed[0] - context);
+  let to = Math.min(ops.length, changed[0] + context + 1);
+  for (const i of changed.slice(1)) {
+    if (i - context <= to) {
+      to = Math.min(ops.length, i + context + 1);
+    } else {
+      hunks.push([from, to]);
+      from = Math.max(0, i - context);
+      to = Math.min(ops.length, i + context + 1);
+    }
+  }
+  hunks.push([from, to]);
+
+  const out = [`--- ${oldName}`, `+++ ${newName}`];
+  for (const [start, end] of hunks) {
+    const slice = ops.slice(start, end);
+    const oldLen = slice.filter(o => o.op !== '+').length;
+    const newLen = slice.filter(o => o.op !== '-').length;
+    // При нулевой длине номер строки указывает на строку перед ханком
+    const oldStart = oldLen === 0 ? slice[0].oldIdx : slice[0].oldIdx + 1;
+    const newStart = newLen === 0 ? slice[0].newIdx : slice[0].newIdx + 1;
+    out.push(`@@ -${oldStart},${oldLen} +${newStart},${newLen} @@`);
+    for (const { op, line } of slice) {
+      if (line.endsWith('\n')) {
+        out.push(op + line.slice(0, -1));
+      } else {
+        out.push(op + line, '\\ No newline at end of file');
+      }
+    }
+  }
+  return out.join('\n') + '\n';
+}
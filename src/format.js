@@ -0,0 +1,82 @@
+/**
+ * Запуск внешнего форматтера только на изменённых патчем строках.
+ */
+import { execSync } from 'child_process';
+import { diffLines } from './diff.js';
+import { splitLines } from './text.js';
+
+// Значение для командной строки: безопасное как есть, остальное в кавычках, чтобы пробелы
+// и метасимволы оболочки в путях не ломали команду
+function shellQuote(value) {
+  const text = String(value);
+  if (/^[\w./:@%+=,-]+$/.test(text)) return text;
+  if (process.platform === 'win32') return `"${text.replace(/"/g, '""')}"`;
+  return `'${text.replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Команда по шаблону с {name}: значения из vars подставляются экранированными для оболочки,
+ * поэтому в шаблоне их не нужно брать в кавычки. Неизвестные {name} остаются как есть
+ */
+export function commandFromTemplate(template, vars) {
+  return template.replace(/\{(\w+)\}/g, (whole, name) => (name in vars ? shellQuote(vars[name]) : whole));
+}
+
+// Диапазоны строк нового текста (с единицы, включительно), которые отличаются от старого
+export function changedLineRanges(oldText, newText) {
+  const ranges = [];
+  let line = 0;
+  let current = null;
+  for (const { op } of diffLines(splitLines(oldText), splitLines(newText))) {
+    if (op === '+') {
+      line++;
+      if (current && current.endLine === line - 1) {
+        current.endLine = line;
+      } else {
+        current = { startLine: line, endLine: line };
+        ranges.push(current);
+      }
+    } else if (op === ' ') {
+      line++;
+    }
+  }
+  return ranges;
+}
+
+// Прогоняет текст через форматтер для каждого изменённого диапазона, с конца файла к началу,
+// чтобы номера строк ещё не отформатированных диапазонов оставались верными.
+// command — шаблон команды с {file}, {startLine}, {endLine}: текст подаётся на stdin,
+// отформатированный читается из stdout (например, clang-format --lines={startLine}:{endLine} --assume-filename={file}).
+// Возвращает отформатированный текст и правку { start, deleted, inserted } для журнала (null, если форматтер ничего не менял)
+export function formatChangedLines(oldText, newText, command, filePath) {
+  let text = newText;
+  for (const { startLine, endLine } of changedLineRanges(oldText, newText).reverse()) {
+    const cmd = commandFromTemplate(command, { file: filePath, startLine, endLine });
+    try {
+      text = execSync(cmd, { input: text, encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'], maxBuffer: 64 * 1024 * 1024 });
+    } catch (err) {
+      throw new Error(`Форматтер завершился с ошибкой (${cmd}):\n${(err.stderr || err.message).trim()}`);
+    }
+    // Форматтер, правящий файл на месте, ничего не пишет в stdout — такой результат затёр бы файл
+    if (text.trim() === '' && newText.trim() !== '') {
+      throw new Error(`Форматтер не вывел текст в stdout (${cmd})`);
+    }
+  }
+  if (text === newText) return { text, edit: null };
+
+  // Правка форматтера — участок между общим началом и общим концом текстов до и после
+  let start = 0;
+  while (start < text.length && start < newText.length && text[start] === newText[start]) start++;
+  let end = 0;
+  while (
+    end < text.length - start &&
+    end < newText.length - start &&
+    text[text.length - 1 - end] === newText[newText.length - 1 - end]
+  ) {
+    end++;
+  }
+  return {
+    text,
+    edit: { start, deleted: newText.slice(start, newText.length - end), inserted: text.slice(start, text.length - end) }
+  };
+}
@@ -0,0 +1,234 @@
+/**
+ * Нечёткое сопоставление: если точная последовательность токенов не найдена, ищется участок исходника
+ * с наименьшим расстоянием редактирования по токенам. Токены рядом с >>> и <<< должны совпасть точно.
+ */
+import { markerRegions } from './lexer.js';
+import { siteFromMarks } from './matcher.js';
+
+// Насколько лучший участок должен опережать следующий за ним по сходству, чтобы выбор был однозначным
+export const FUZZY_MARGIN = 0.1;
+
+const INF = 1e9;
+const GAPS = ['wildcard', 'skipper'];
+const MARKERS = ['inserter', 'folder'];
+
+// Делит паттерн на сегменты между wildcard и skipper. В сегменте — реальные токены и маркеры >>> / <<<
+// с числом токенов перед ними; токены по обе стороны маркера помечаются как якоря
+function splitSegments(patternTokens) {
+  const segments = [{ tokens: [], markers: [], gap: null }];
+  let ordinal = 0;
+  for (const t of patternTokens) {
+    const current = segments[segments.length - 1];
+    if (t.type === 'comment') continue;
+    if (GAPS.includes(t.type)) {
+      segments.push({ tokens: [], markers: [], gap: t });
+      // Skipper с целью ищет именно её — она становится первым токеном следующего сегмента
+      if (t.target) segments[segments.length - 1].tokens.push({ type: 'target', text: t.target });
+    } else if (MARKERS.includes(t.type)) {
+      current.markers.push({ ordinal: ordinal++, before: current.tokens.length });
+    } else {
+      current.tokens.push(t);
+    }
+  }
+  for (const segment of segments) {
+    segment.anchors = new Set();
+    for (const { before } of segment.markers) {
+      if (before > 0) segment.anchors.add(before - 1);
+      if (before < segment.tokens.length) segment.anchors.add(before);
+    }
+  }
+  return segments;
+}
+
+function tokenMatches(patTok, srcTok) {
+  if (patTok.type === 'capture') return !/^[{}()[\]]$/.test(srcTok.text);
+  return patTok.text === srcTok.text;
+}
+
+/**
+ * Ищет лучший нечёткий участок. threshold — минимальное сходство (0..1).
+ * Возвращает места в формате findMatchSites с добавочным fuzzy: { score, differences, runnerUp }
+ * или бросает ошибку с описанием лучшего (и конкурирующего) кандидата.
+ */
+export function findFuzzySites(sourceTokens, patternTokens, srcLength, { threshold = 0.8 } = {}) {
+  const n = sourceTokens.length;
+  const segments = splitSegments(patternTokens);
+  const total = segments.reduce((sum, s) => sum + s.tokens.length, 0);
+  if (total === 0) throw new Error('Нечёткий поиск невозможен: в паттерне нет токенов');
+
+  const offsetAt = si => (si >= n ? srcLength : sourceTokens[si].startIndex);
+  const where = si => {
+    if (si >= n) return 'конец файла';
+    const { row, column } = sourceTokens[si].startPosition;
+    return `${row + 1}:${column + 1}`;
+  };
+
+  // Для каждого сегмента — матрица стоимостей (m + 1) x (n + 1): D[i][s] — стоимость сопоставления первых i токенов
+  // сегмента так, что исходник прочитан до позиции s. Начальная строка — лучший конец предыдущего сегмента до s
+  // (wildcard между ними пропускает любой участок); origin — где в исходнике начался первый сегмент
+  const tables = [];
+  let prevLast = null;
+  let prevOrigin = null;
+  for (let j = 0; j < segments.length; j++) {
+    const { tokens, anchors } = segments[j];
+    const m = tokens.length;
+    const D = new Int32Array((m + 1) * (n + 1));
+    const from = new Int32Array(n + 1);
+    const origin = new Int32Array(n + 1);
+    let bestEnd = 0;
+    for (let s = 0; s <= n; s++) {
+      if (j === 0) {
+        // Паттерн без ведущего ... привязан к началу файла: лишние токены в начале стоят по единице.
+        // С ведущим ... первый сегмент пуст, и следующий может начаться где угодно
+        D[s] = m > 0 ? s : 0;
+        origin[s] = m > 0 ? 0 : s;
+      } else {
+        // Из равных по стоимости концов предыдущего сегмента берём самый поздний — wildcard покороче
+        if (prevLast[s] <= prevLast[bestEnd]) bestEnd = s;
+        D[s] = prevLast[bestEnd];
+        from[s] = bestEnd;
+        origin[s] = prevOrigin[bestEnd];
+      }
+    }
+
+    let prevRowOrigin = origin;
+    for (let i = 1; i <= m; i++) {
+      const row = i * (n + 1);
+      const up = (i - 1) * (n + 1);
+      const anchor = anchors.has(i - 1);
+      const rowOrigin = new Int32Array(n + 1);
+      for (let s = 0; s <= n; s++) {
+        let cost = D[up + s] + (anchor ? INF : 1);
+        let org = prevRowOrigin[s];
+        if (s > 0) {
+          const diag = D[up + s - 1] + (tokenMatches(tokens[i - 1], sourceTokens[s - 1]) ? 0 : anchor ? INF : 1);
+          if (diag <= cost) {
+            cost = diag;
+            org = prevRowOrigin[s - 1];
+          }
+          const extra = D[row + s - 1] + 1;
+          if (extra < cost) {
+            cost = extra;
+            org = rowOrigin[s - 1];
+          }
+        }
+        D[row + s] = Math.min(cost, INF);
+        rowOrigin[s] = org;
+      }
+      prevRowOrigin = rowOrigin;
+    }
+    tables.push({ D, from, m });
+    prevLast = D.subarray(m * (n + 1));
+    prevOrigin = prevRowOrigin;
+  }
+
+  // Концы последнего сегмента: завершающий wildcard без токенов после него доходит до конца файла
+  const last = segments[segments.length - 1];
+  const ends = last.tokens.length === 0 && last.gap ? [n] : [...Array(n + 1).keys()];
+  const score = cost => Math.max(0, 1 - cost / total);
+  let bestEnd = -1;
+  for (const s of ends) {
+    if (prevLast[s] < INF && (bestEnd < 0 || prevLast[s] < prevLast[bestEnd])) bestEnd = s;
+  }
+  if (bestEnd < 0) {
+    throw new Error('Нечёткий поиск: токены рядом с >>> и <<< нигде не совпадают точно');
+  }
+  const best = { start: prevOrigin[bestEnd], end: bestEnd, score: score(prevLast[bestEnd]) };
+  if (best.score < threshold) {
+    throw new Error(
+      `Нечёткий поиск: лучшее сходство ${best.score.toFixed(2)} ниже порога ${threshold} (участок с ${where(best.start)})`
+    );
+  }
+
+  // Следующий по сходству участок, не пересекающийся с лучшим
+  let runnerUp = null;
+  for (const s of ends) {
+    const start = prevOrigin[s];
+    if (prevLast[s] >= INF || (start < best.end && s > best.start) || (start === best.start && s === best.end)) continue;
+    if (!runnerUp || prevLast[s] < prevLast[runnerUp.end]) runnerUp = { start, end: s };
+  }
+  if (runnerUp) runnerUp.score = score(prevLast[runnerUp.end]);
+  if (runnerUp && runnerUp.score >= threshold && best.score - runnerUp.score < FUZZY_MARGIN) {
+    throw new Error(
+      `Нечёткий поиск неоднозначен: сходство ${best.score.toFixed(2)} на ${where(best.start)} ` +
+      `и ${runnerUp.score.toFixed(2)} на ${where(runnerUp.start)}. Уточните паттерн`
+    );
+  }
+
+  // Обратный проход: выравнивание токенов, положение маркеров, захваты и отличия
+  const differences = [];
+  const marks = [];
+  const captures = {};
+  let s = bestEnd;
+  for (let j = segments.length - 1; j >= 0; j--) {
+    const { tokens, markers, anchors, gap } = segments[j];
+    const { D, from, m } = tables[j];
+    const aligned = new Array(m).fill(null);
+    let i = m;
+    while (i > 0) {
+      const here = D[i * (n + 1) + s];
+      const up = D[(i - 1) * (n + 1) + s];
+      const anchor = anchors.has(i - 1);
+      if (s > 0) {
+        const same = tokenMatches(tokens[i - 1], sourceTokens[s - 1]);
+        if (D[(i - 1) * (n + 1) + s - 1] + (same ? 0 : 1) === here && (same || !anchor)) {
+          aligned[i - 1] = s - 1;
+          if (!same) differences.push({ kind: 'replaced', expected: tokens[i - 1].text, found: sourceTokens[s - 1].text, at: where(s - 1) });
+          i--;
+          s--;
+          continue;
+        }
+      }
+      if (!anchor && up + 1 === here) {
+        differences.push({ kind: 'missing', expected: tokens[i - 1].text, at: where(s) });
+        i--;
+        continue;
+      }
+      differences.push({ kind: 'extra', found: sourceTokens[s - 1].text, at: where(s - 1) });
+      s--;
+    }
+    // Лишние токены перед паттерном, привязанным к началу файла
+    if (j === 0 && m > 0) {
+      for (let k = s - 1; k >= 0; k--) {
+        differences.push({ kind: 'extra', found: sourceTokens[k].text, at: where(k) });
+      }
+    }
+
+    tokens.forEach((t, k) => {
+      if (t.capture && aligned[k] != null) {
+        const tok = sourceTokens[aligned[k]];
+        captures[t.capture] = { start: tok.startIndex, end: tok.startIndex + tok.text.length, tokens: [tok.text] };
+      }
+    });
+    for (const { ordinal, before } of markers) {
+      let si;
+      if (before > 0 && aligned[before - 1] != null) {
+        si = aligned[before - 1] + 1;
+      } else {
+        const next = aligned.slice(before).find(a => a != null);
+        si = next ?? s;
+      }
+      marks[ordinal] = offsetAt(si);
+    }
+
+    if (j > 0) {
+      const e = from[s];
+      if (gap.capture) {
+        const end = s > e ? sourceTokens[s - 1].startIndex + sourceTokens[s - 1].text.length : offsetAt(e);
+        captures[gap.capture] = {
+          start: offsetAt(e),
+          end,
+          tokens: sourceTokens.slice(e, s).map(t => t.text)
+        };
+      }
+      s = e;
+    }
+  }
+
+  const layout = markerRegions(patternTokens);
+  if (layout.length === 0) {
+    throw new Error('Нечёткий поиск: в паттерне нет >>> или <<<');
+  }
+  differences.reverse();
+  return [{ ...siteFromMarks(layout, marks, captures), fuzzy: { score: best.score, differences, runnerUp: runnerUp?.score ?? null } }];
+}
@@ -0,0 +1,125 @@
+/**
+ * Работа с git: проверка незакоммиченных изменений, индекс, коммиты и патчи в формате git format-patch.
+ */
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { execFileSync } from 'child_process';
+import { unifiedDiff } from './diff.js';
+
+function git(cwd, args, input) {
+  try {
+    return execFileSync('git', args, { cwd, input, encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'] });
+  } catch (err) {
+    const reason = err.stderr?.trim() || err.message;
+    throw new Error(`git ${args[0]}: ${reason}`);
+  }
+}
+
+// Корень репозитория, в котором лежит файл (или каталог, куда он будет записан)
+function repoRoot(file) {
+  const dir = path.dirname(path.resolve(file));
+  try {
+    return git(fs.existsSync(dir) ? dir : process.cwd(), ['rev-parse', '--show-toplevel']).trim();
+  } catch {
+    throw new Error(`${file} не в git-репозитории`);
+  }
+}
+
+// Путь файла относительно корня репозитория, через /. Корень git отдаёт без симлинков — файл тоже
+function repoPath(root, file) {
+  const resolved = path.resolve(file);
+  const real = fs.existsSync(resolved)
+    ? fs.realpathSync(resolved)
+    : path.join(fs.realpathSync(path.dirname(resolved)), path.basename(resolved));
+  return path.relative(root, real).split(path.sep).join('/');
+}
+
+// Файлы по репозиториям: Map корня к путям внутри него
+function byRepo(files) {
+  const repos = new Map();
+  for (const file of files) {
+    const root = repoRoot(file);
+    if (!repos.has(root)) repos.set(root, []);
+    repos.get(root).push(repoPath(root, file));
+  }
+  return repos;
+}
+
+// Файлы, которые отличаются от последнего коммита (в рабочем дереве или в индексе) или не добавлены в git.
+// Несуществующие файлы не проверяются: их создаст патч
+export function dirtyFiles(files) {
+  return files.filter(file => {
+    if (!fs.existsSync(file)) return false;
+    const root = repoRoot(file);
+    return git(root, ['status', '--porcelain', '--', repoPath(root, file)]).trim() !== '';
+  });
+}
+
+// Добавляет файлы в индекс
+export function stageFiles(files) {
+  for (const [root, paths] of byRepo(files)) git(root, ['add', '--', ...paths]);
+}
+
+// Коммитит только указанные файлы, не трогая то, что уже лежит в индексе. Возвращает короткий хеш коммита
+export function commitFiles(files, message) {
+  const repos = byRepo(files);
+  if (repos.size > 1) throw new Error(`Файлы лежат в разных репозиториях: ${[...repos.keys()].join(', ')}`);
+  const [[root, paths]] = repos;
+  git(root, ['add', '--', ...paths]);
+  git(root, ['commit', '--quiet', '--file=-', '--', ...paths], message.trim() + '\n');
+  return git(root, ['rev-parse', '--short', 'HEAD']).trim();
+}
+
+// Хеш blob-объекта git для текста
+function blobHash(text) {
+  const content = Buffer.from(text, 'utf8');
+  return crypto.createHash('sha1').update(`blob ${content.length}\0`).update(content).digest('hex');
+}
+
+// Дата в формате RFC 2822 в часовом поясе автора: секунды с эпохи и смещение вида +0300
+function rfc2822(seconds, tz) {
+  const sign = tz[0] === '-' ? -1 : 1;
+  const shift = sign * (Number(tz.slice(1, 3)) * 60 + Number(tz.slice(3, 5))) * 60;
+  const d = new Date((seconds + shift) * 1000);
+  const days = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+  const pad = n => String(n).padStart(2, '0');
+  return `${days[d.getUTCDay()]}, ${d.getUTCDate()} ${months[d.getUTCMonth()]} ${d.getUTCFullYear()} ` +
+    `${pad(d.getUTCHours())}:${pad(d.getUTCMinutes())}:${pad(d.getUTCSeconds())} ${tz}`;
+}
+
+/**
+ * Патч в формате git format-patch (его принимает git am) для изменений [{ file, source, text }]:
+ * автор и дата — из настроек git, тема и описание — из message, пути — относительно корня репозитория.
+ */
+export function formatPatch(changes, message) {
+  const repos = byRepo(changes.map(c => c.file));
+  if (repos.size > 1) throw new Error(`Файлы лежат в разных репозиториях: ${[...repos.keys()].join(', ')}`);
+  const [[root, paths]] = repos;
+
+  const ident = git(root, ['var', 'GIT_AUTHOR_IDENT']).trim();
+  const [, author, seconds, tz] = ident.match(/^(.*) (\d+) ([+-]\d{4})$/);
+  const [subject, ...rest] = message.trim().split('\n');
+  const body = rest.join('\n').trim();
+
+  const out = [
+    'From 0000000000000000000000000000000000000000 Mon Sep 17 00:00:00 2001',
+    `From: ${author}`,
+    `Date: ${rfc2822(Number(seconds), tz)}`,
+    `Subject: [PATCH] ${subject.trim()}`,
+    '',
+    ...(body ? [body, ''] : []),
+    '---',
+    ''
+  ].join('\n');
+
+  const diffs = changes.map(({ file, source, text }, i) => {
+    const name = paths[i];
+    const mode = fs.existsSync(file) && fs.statSync(file).mode & 0o111 ? '100755' : '100644';
+    return `diff --git a/${name} b/${name}\n` +
+      `index ${blobHash(source).slice(0, 7)}..${blobHash(text).slice(0, 7)} ${mode}\n` +
+      unifiedDiff(source, text, { oldName: `a/${name}`, newName: `b/${name}` });
+  });
+  return out + diffs.join('') + '-- \nsmartpatcher\n\n';
+}
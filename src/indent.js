@@ -0,0 +1,120 @@
+/**
+ * Отступы: определение стиля отступов файла, снятие общего отступа патча
+ * и переотступ под уровень вложенности места вставки.
+ */
+import { LANGUAGES } from './languages.js';
+import { parseSource } from './source.js';
+
+const DEFAULT_INDENT = '  ';
+
+function leadingWhitespace(line) {
+  return line.match(/^[ \t]*/)[0];
+}
+
+// Стиль отступов текста: '\t' или строка из N пробелов (N — самый частый шаг увеличения отступа)
+export function detectIndent(text, fallback = DEFAULT_INDENT) {
+  const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+  let tabs = 0;
+  let spaces = 0;
+  const steps = new Map();
+  let prev = 0;
+  for (const line of lines) {
+    const ws = leadingWhitespace(line);
+    if (ws.startsWith('\t')) {
+      tabs++;
+      continue;
+    }
+    if (ws.length > 0) spaces++;
+    if (ws.length > prev) steps.set(ws.length - prev, (steps.get(ws.length - prev) || 0) + 1);
+    prev = ws.length;
+  }
+  if (tabs > spaces) return '\t';
+  if (steps.size === 0) return fallback;
+  // При равной частоте предпочитаем меньший шаг
+  const [width] = [...steps].sort((a, b) => b[1] - a[1] || a[0] - b[0])[0];
+  return ' '.repeat(width);
+}
+
+// Снимает общий для всех непустых строк начальный отступ
+export function dedent(text) {
+  const lines = text.split(/\r?\n/);
+  let common = null;
+  for (const line of lines) {
+    if (line.trim() === '') continue;
+    const ws = leadingWhitespace(line);
+    if (common === null) {
+      common = ws;
+    } else {
+      let i = 0;
+      while (i < common.length && i < ws.length && common[i] === ws[i]) i++;
+      common = common.slice(0, i);
+    }
+  }
+  if (!common) return lines.join('\n');
+  return lines.map(line => (line.trim() === '' ? '' : line.slice(common.length))).join('\n');
+}
+
+// Переотступ патча: общий отступ снимается, относительные уровни переводятся из стиля патча
+// в стиль файла (unit), а к каждой непустой строке добавляется base
+export function reindent(patch, base, unit) {
+  const body = dedent(patch);
+  const patchUnit = detectIndent(body, unit);
+  return body
+    .split('\n')
+    .map(line => {
+      if (line.trim() === '') return '';
+      const ws = leadingWhitespace(line);
+      let levels = 0;
+      let rest = ws;
+      // Уровень — табуляция или шаг отступа патча; остаток (выравнивание) сохраняем как есть
+      while (rest.length > 0) {
+        if (rest.startsWith('\t')) {
+          rest = rest.slice(1);
+        } else if (patchUnit !== '\t' && rest.startsWith(patchUnit)) {
+          rest = rest.slice(patchUnit.length);
+        } else {
+          break;
+        }
+        levels++;
+      }
+      return base + unit.repeat(levels) + rest + line.slice(ws.length);
+    })
+    .join('\n');
+}
+
+// Отступы для строк, вставляемых по оффсетам offsets: как у строк ближайшего объемлющего блока.
+// Если в блоке ещё нет строк — отступ строки с открывающей скобкой плюс один шаг unit.
+// Текст разбирается один раз на все оффсеты
+export function indentsAt(src, offsets, lang = LANGUAGES.cpp, unit = detectIndent(src)) {
+  if (offsets.length === 0) return [];
+  const tree = parseSource(src, lang);
+  const lines = src.split('\n');
+  // Директивы препроцессора обычно пишут с начала строки: вместо них смотрим на код внутри веток #if / #ifdef
+  const members = parent => parent.namedChildren.flatMap(child => (child.type.startsWith('preproc_') ? members(child) : [child]));
+  // У мест в одном блоке отступ общий
+  const byBlock = new Map();
+
+  function blockIndent(node) {
+    const openRow = node.startPosition.row;
+    for (const child of members(node)) {
+      // public: / private: в C++ обычно выносят левее членов класса
+      if (child.type === 'access_specifier') continue;
+      const { row, column } = child.startPosition;
+      if (row > openRow && lines[row].slice(0, column).trim() === '') {
+        return leadingWhitespace(lines[row]);
+      }
+    }
+    return leadingWhitespace(lines[openRow]) + unit;
+  }
+
+  return offsets.map(offset => {
+    let node = tree.rootNode.descendantForIndex(offset);
+    while (node && !(lang.blockNodes.has(node.type) && node.startIndex < offset && offset < node.endIndex)) {
+      node = node.parent;
+    }
+    if (!node) return '';
+    const key = `${node.startIndex}:${node.endIndex}`;
+    if (!byBlock.has(key)) byBlock.set(key, blockIndent(node));
+    return byBlock.get(key);
+  });
+}
@@ -0,0 +1,98 @@
+/**
+ * Журнал отмены: рядом с выходным файлом хранится .<имя>.patchlog.json со всеми применёнными правками —
+ * оффсет, удалённый и вставленный текст, хэши файла до и после правки.
+ */
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { offsetToLineCol } from './text.js';
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text, 'utf8').digest('hex');
+}
+
+function journalPath(file) {
+  return path.join(path.dirname(file), `.${path.basename(file)}.patchlog.json`);
+}
+
+export function readJournal(file) {
+  const p = journalPath(file);
+  if (!fs.existsSync(p)) return { file: path.basename(file), nextId: 1, entries: [] };
+  return JSON.parse(fs.readFileSync(p, 'utf8'));
+}
+
+export function writeJournal(file, journal) {
+  const p = journalPath(file);
+  if (journal.entries.length === 0) {
+    fs.rmSync(p, { force: true });
+  } else {
+    fs.writeFileSync(p, JSON.stringify(journal, null, 2) + '\n', 'utf8');
+  }
+}
+
+function applyEdit(text, { start, deleted, inserted }) {
+  return text.slice(0, start) + inserted + text.slice(start + deleted.length);
+}
+
+// Дописывает правки в журнал. Если файл перезаписывается не из того состояния,
+// которым заканчивается журнал, старые записи уже неприменимы и журнал начинается заново
+export function recordEdits(file, src, edits) {
+  let journal = readJournal(file);
+  const lastEntry = journal.entries[journal.entries.length - 1];
+  if (lastEntry && lastEntry.hashAfter !== sha256(src)) {
+    journal = { file: journal.file, nextId: journal.nextId, entries: [] };
+  }
+  let text = src;
+  for (const edit of edits) {
+    const after = applyEdit(text, edit);
+    journal.entries.push({
+      id: journal.nextId++,
+      time: new Date().toISOString(),
+      ...edit,
+      hashBefore: sha256(text),
+      hashAfter: sha256(after)
+    });
+    text = after;
+  }
+  writeJournal(file, journal);
+}
+
+// Откатывает запись журнала с указанным id в тексте text и возвращает новый текст.
+// Позиция правки пересчитывается с учётом всех более поздних правок
+export function revertEntry(text, journal, id) {
+  const index = journal.entries.findIndex(e => e.id === id);
+  if (index < 0) throw new Error(`В журнале нет патча #${id}`);
+  const entry = journal.entries[index];
+  const later = journal.entries.slice(index + 1);
+
+  // Позиция правки в координатах текста перед каждой более поздней правкой
+  let start = entry.start;
+  const startBefore = [];
+  for (const e of later) {
+    startBefore.push(start);
+    if (e.start + e.deleted.length <= start) {
+      start += e.inserted.length - e.deleted.length;
+    } else if (e.start < start + entry.inserted.length) {
+      throw new Error(`Патч #${id} пересекается с более поздним патчем #${e.id}, сначала откатите его`);
+    }
+  }
+
+  if (text.slice(start, start + entry.inserted.length) !== entry.inserted) {
+    const { line, col } = offsetToLineCol(text, start);
+    throw new Error(`Область патча #${id} (строка ${line}, колонка ${col}) изменилась после применения, откат невозможен`);
+  }
+  const result = text.slice(0, start) + entry.deleted + text.slice(start + entry.inserted.length);
+  // Если после патча файл не трогали, откат обязан вернуть его исходное содержимое
+  if (later.length === 0 && sha256(text) === entry.hashAfter && sha256(result) !== entry.hashBefore) {
+    throw new Error(`Журнал повреждён: откат патча #${id} не восстанавливает исходный файл`);
+  }
+
+  // Более поздние правки после отката сдвигаются обратно. Каждая сравнивается с позицией отменённой
+  // правки в своих координатах: правки между ними могли сдвинуть её
+  const delta = entry.deleted.length - entry.inserted.length;
+  journal.entries.splice(index, 1);
+  later.forEach((e, k) => {
+    if (e.start >= startBefore[k] + entry.inserted.length) e.start += delta;
+  });
+  return { result, start };
+}
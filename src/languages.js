@@ -0,0 +1,100 @@
+/**
+ * Реестр поддерживаемых языков исходников и определение языка по расширению файла.
+ */
+import path from 'path';
+import Cpp from 'tree-sitter-cpp';
+import C from 'tree-sitter-c';
+import JavaScript from 'tree-sitter-javascript';
+import TypeScript from 'tree-sitter-typescript';
+
+const C_OPERATORS = [
+  '==', '!=', '<=', '>=', '++', '--', '->', '&&', '||', '<<=', '>>=', '<<', '>>',
+  '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^='
+];
+const JS_OPERATORS = [
+  '===', '!==', '==', '!=', '<=', '>=', '++', '--', '=>', '&&', '||', '??', '?.', '**',
+  '<<=', '>>=', '<<', '>>', '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=', '**=', '&&=', '||=', '??='
+];
+const PREPROC_BLOCKS = ['preproc_if', 'preproc_ifdef'];
+const JS_BLOCKS = ['statement_block', 'class_body', 'object', 'object_pattern', 'switch_body', 'named_imports', 'export_clause'];
+const JS_FUNCTIONS = ['function_declaration', 'generator_function_declaration', 'method_definition', 'variable_declarator'];
+
+// Поддерживаемые языки: грамматика tree-sitter, расширения файлов,
+// узлы, образующие уровень вложенности (блоки кода и блоки условной компиляции #if / #ifdef),
+// многосимвольные операторы для лексера match-блока и узлы, которые находят селекторы @function, @class и т. д.
+export const LANGUAGES = {
+  cpp: {
+    grammar: Cpp,
+    extensions: ['.cpp', '.cc', '.cxx', '.c++', '.hpp', '.hh', '.hxx', '.h', '.ipp', '.inl'],
+    blockNodes: ['compound_statement', 'field_declaration_list', 'declaration_list', 'enumerator_list', 'initializer_list'],
+    preprocNodes: PREPROC_BLOCKS,
+    operators: [...C_OPERATORS, '::'],
+    selectors: {
+      function: ['function_definition'],
+      class: ['class_specifier', 'struct_specifier', 'union_specifier'],
+      namespace: ['namespace_definition']
+    }
+  },
+  c: {
+    grammar: C,
+    extensions: ['.c'],
+    blockNodes: ['compound_statement', 'field_declaration_list', 'enumerator_list', 'initializer_list'],
+    preprocNodes: PREPROC_BLOCKS,
+    operators: C_OPERATORS,
+    selectors: {
+      function: ['function_definition'],
+      class: ['struct_specifier', 'union_specifier']
+    }
+  },
+  typescript: {
+    grammar: TypeScript.typescript,
+    extensions: ['.ts', '.mts', '.cts'],
+    blockNodes: [...JS_BLOCKS, 'interface_body', 'enum_body', 'object_type'],
+    operators: JS_OPERATORS,
+    selectors: {
+      function: [...JS_FUNCTIONS, 'public_field_definition'],
+      class: ['class_declaration', 'abstract_class_declaration', 'class'],
+      interface: ['interface_declaration']
+    }
+  },
+  tsx: {
+    grammar: TypeScript.tsx,
+    extensions: ['.tsx'],
+    blockNodes: [...JS_BLOCKS, 'interface_body', 'enum_body', 'object_type'],
+    operators: JS_OPERATORS,
+    selectors: {
+      function: [...JS_FUNCTIONS, 'public_field_definition'],
+      class: ['class_declaration', 'abstract_class_declaration', 'class'],
+      interface: ['interface_declaration']
+    }
+  },
+  javascript: {
+    grammar: JavaScript,
+    extensions: ['.js', '.mjs', '.cjs', '.jsx'],
+    blockNodes: JS_BLOCKS,
+    operators: JS_OPERATORS,
+    selectors: {
+      function: [...JS_FUNCTIONS, 'field_definition'],
+      class: ['class_declaration', 'class']
+    }
+  }
+};
+for (const [name, lang] of Object.entries(LANGUAGES)) {
+  lang.name = name;
+  lang.blockNodes = new Set(lang.blockNodes);
+  lang.preprocNodes = new Set(lang.preprocNodes ?? []);
+  // Длинные операторы проверяются раньше своих префиксов
+  const ops = [...lang.operators].sort((a, b) => b.length - a.length);
+  lang.operatorRe = new RegExp('^(' + ops.map(op => op.replace(/[|\\{}()[\]^$+*?.]/g, '\\$&')).join('|') + ')');
+}
+
+// Язык по явному --lang или по расширению файла; по умолчанию C++
+export function detectLanguage(filePath, override) {
+  if (override) {
+    const lang = LANGUAGES[override];
+    if (!lang) throw new Error(`Неизвестный язык: ${override}`);
+    return lang;
+  }
+  const ext = path.extname(filePath || '').toLowerCase();
+  return Object.values(LANGUAGES).find(lang => lang.extensions.includes(ext)) || LANGUAGES.cpp;
+}
@@ -0,0 +1,423 @@
+/**
+ * Лексер match-блока: токены с уровнем вложенности и позицией в тексте паттерна.
+ */
+import Parser from 'tree-sitter';
+import { createRequire } from 'module';
+import { LANGUAGES } from './languages.js';
+import { offsetToLineCol } from './text.js';
+
+const require = createRequire(import.meta.url);
+
+// Парсер с грамматикой match-блока из grammar/ (собирается `npm run build:grammar`), общий для всех разборов.
+// undefined — ещё не загружали, null — грамматика не собрана
+let matchParser;
+function getMatchParser() {
+  if (matchParser === undefined) {
+    try {
+      const parser = new Parser();
+      parser.setLanguage(require('../grammar'));
+      matchParser = parser;
+    } catch {
+      matchParser = null;
+    }
+  }
+  return matchParser;
+}
+
+// Escape-последовательность в строковом литерале, как escape_sequence в grammar/
+const ESCAPE_RE = /^\\(x[0-9a-fA-F]{1,4}|u\{[0-9a-fA-F]+\}|u[0-9a-fA-F]{4}|U[0-9a-fA-F]{8}|[0-7]{1,3}|\r\n|[\s\S])/;
+
+const NUMBER_RE = /^(0[xX][0-9a-fA-F']+[uUlLnN]*|0[bB][01']+[uUlLnN]*|[0-9][0-9']*(\.[0-9]*)?([eE][+-]?[0-9]+)?[uUlLfFnN]*|\.[0-9]+([eE][+-]?[0-9]+)?[fFlL]?)/;
+
+// Лексер для match-блока с учетом вложенности. Match-блок разбирается грамматикой grammar/,
+// токены — листья полученного дерева; пока грамматика не собрана, тот же набор токенов
+// выдаёт ручной сканер. Ошибки структуры сообщаются с позицией в match-блоке
+export function lexMatch(text, lang = LANGUAGES.cpp) {
+  const parser = getMatchParser();
+  const tokens = parser
+    ? tokensFromMatchTree(text, parser, lang)
+    : scanMatch(text, lang);
+  checkMatchSyntax(tokens, text);
+  return tokens;
+}
+
+const PREPROC_OPEN = ['#if', '#ifdef', '#ifndef'];
+
+// Директива препроцессора без пробелов после #: `#  ifdef` записывается как `#ifdef`, как и в листьях исходника
+function directiveText(text) {
+  return text.replace(/^#\s+/, '#');
+}
+
+// Для языков с препроцессором блок #if / #ifdef / #ifndef ... #endif — уровень вложенности, как блок в фигурных скобках:
+// +1 перед открывающей директивой, -1 после #endif
+function preprocDepth(text, lang) {
+  if (lang.preprocNodes.size === 0) return 0;
+  if (PREPROC_OPEN.includes(text)) return 1;
+  return text === '#endif' ? -1 : 0;
+}
+
+// Ошибка разбора match-блока с номером строки и колонки
+function matchSyntaxError(text, offset, message) {
+  const { line, col } = offsetToLineCol(text, offset);
+  return Object.assign(
+    new Error(`Синтаксическая ошибка в match-блоке (строка ${line}, колонка ${col}): ${message}`),
+    { line, col }
+  );
+}
+
+// Маркер правки: >>> или <<<, возможно с номером области сразу после (>>>1, <<<2)
+function markerToken(text, nestingLevel, start) {
+  const type = text.startsWith('>>>') ? 'inserter' : 'folder';
+  const token = { type, text, nestingLevel, start };
+  if (text.length > 3) token.region = Number(text.slice(3));
+  return token;
+}
+
+// Оператор, которого нет в языке (например, :: для C или === для C++), дробится на известные части
+function splitOperator(text, start, nestingLevel, lang) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const op = lang.operatorRe.exec(text.slice(i))?.[0] || text[i];
+    tokens.push({ type: op.length > 1 ? 'operator' : 'symbol', text: op, nestingLevel, start: start + i });
+    i += op.length;
+  }
+  return tokens;
+}
+
+// Разбор грамматикой и обход дерева
+function tokensFromMatchTree(text, parser, lang) {
+  const tree = parser.parse(text);
+
+  if (tree.rootNode.hasError) {
+    const bad = (function find(node) {
+      if (node.type === 'ERROR' || node.isMissing) return node;
+      for (const child of node.children) {
+        if (child.hasError || child.isMissing) return find(child);
+      }
+      return null;
+    })(tree.rootNode);
+    const message = bad.isMissing
+      ? `отсутствует \`${bad.type}\``
+      : `неожиданный \`${bad.text.split(/\s/)[0]}\``;
+    throw matchSyntaxError(text, bad.startIndex, message);
+  }
+
+  const tokens = [];
+  let nestingLevel = 0;
+
+  function walk(node) {
+    const start = node.startIndex;
+    switch (node.type) {
+      case 'comment':
+        tokens.push({ type: 'comment', text: node.text, nestingLevel, start });
+        return;
+      case 'inserter':
+      case 'folder':
+        tokens.push(markerToken(node.text, nestingLevel, start));
+        return;
+      case 'wildcard':
+        tokens.push({ type: 'wildcard', text: node.text, nestingLevel, start, unbounded: node.text === '....' });
+        return;
+      case 'capture':
+        tokens.push({ type: 'capture', text: node.text, nestingLevel, start, capture: node.text.slice(1) });
+        return;
+      case 'capture_span': {
+        const [, name, dots] = /^\$(\w+)(\.+)$/.exec(node.text);
+        tokens.push({ type: 'wildcard', text: node.text, nestingLevel, start, capture: name, unbounded: dots === '....' });
+        return;
+      }
+      case 'skipper': {
+        // Цель пропуска — первый лист следующего за ._. токена
+        const kind = node.childForFieldName('kind').text;
+        let target = node.childForFieldName('target');
+        while (target && target.childCount > 0) target = target.child(0);
+        tokens.push({
+          type: 'skipper',
+          text: kind,
+          nestingLevel,
+          start,
+          target: target && directiveText(target.text),
+          unbounded: kind === '.__.'
+        });
+        return;
+      }
+      case 'string_literal':
+      case 'template_string':
+        for (const part of node.children) {
+          tokens.push({ type: 'string', text: part.text, nestingLevel, start: part.startIndex });
+        }
+        return;
+      case 'number_literal':
+        tokens.push({ type: 'number', text: node.text, nestingLevel, start });
+        return;
+      case 'directive': {
+        const text = directiveText(node.text);
+        const depth = preprocDepth(text, lang);
+        if (depth > 0) nestingLevel++;
+        tokens.push({ type: 'directive', text, nestingLevel, start });
+        if (depth < 0) nestingLevel--;
+        return;
+      }
+      case 'identifier':
+        tokens.push({ type: 'identifier', text: node.text, nestingLevel, start });
+        return;
+      case 'operator':
+        tokens.push(...splitOperator(node.text, start, nestingLevel, lang));
+        return;
+      case 'punctuation':
+        tokens.push({ type: 'symbol', text: node.text, nestingLevel, start });
+        return;
+    }
+    // source_file, блоки в скобках и непарные скобки верхнего уровня
+    for (const child of node.children) {
+      if (child.isNamed && child.type !== 'stray_bracket') {
+        walk(child);
+        continue;
+      }
+      if (child.text === '{') nestingLevel++;
+      tokens.push({ type: 'bracket', text: child.text, nestingLevel, start: child.startIndex });
+      if (child.text === '}') nestingLevel--;
+    }
+  }
+  walk(tree.rootNode);
+  return tokens;
+}
+
+// Ручной сканер с теми же токенами, что и у грамматики
+function scanMatch(text, lang) {
+  const tokens = [];
+  let i = 0;
+  let nestingLevel = 0; // Уровень вложенности
+
+  // Один токен исходника (не мета-токен) начиная с позиции i; null — если там мета-токен или скобка
+  function scanAtom(start) {
+    const rest = text.slice(start);
+    if (/^(\.\.\.|\._\.|\.__\.|>>>|<<<|\$[A-Za-z_])/.test(rest) || /^[{}()[\]]/.test(rest)) {
+      return null;
+    }
+    // Препроцессор-директива (e.g. #include, #  ifdef)
+    const dir = /^#[ \t]*[A-Za-z_]\w*/.exec(rest);
+    if (dir) return [{ type: 'directive', text: dir[0], nestingLevel, start }];
+    // Строковый литерал: кавычки, участки текста и escape-последовательности — отдельные токены
+    if (/^["'`]/.test(rest)) {
+      const quote = rest[0];
+      let j = 1;
+      while (j < rest.length && rest[j] !== quote && (quote === '`' || rest[j] !== '\n')) {
+        j += rest[j] === '\\' ? 2 : 1;
+      }
+      if (rest[j] !== quote) {
+        throw matchSyntaxError(text, start, `незакрытый строковый литерал ${quote}`);
+      }
+      const parts = [{ type: 'string', text: quote, nestingLevel, start }];
+      for (let k = 1; k < j;) {
+        const piece = rest[k] === '\\' ? ESCAPE_RE.exec(rest.slice(k))[0] : rest.slice(k, j).split('\\')[0];
+        parts.push({ type: 'string', text: piece, nestingLevel, start: start + k });
+        k += piece.length;
+      }
+      parts.push({ type: 'string', text: quote, nestingLevel, start: start + j });
+      return parts;
+    }
+    const num = NUMBER_RE.exec(rest);
+    if (num) return [{ type: 'number', text: num[0], nestingLevel, start }];
+    const id = /^[A-Za-z_]\w*/.exec(rest);
+    if (id) return [{ type: 'identifier', text: id[0], nestingLevel, start }];
+    const op = lang.operatorRe.exec(rest);
+    if (op) return [{ type: 'operator', text: op[0], nestingLevel, start }];
+    return [{ type: 'symbol', text: rest[0], nestingLevel, start }];
+  }
+
+  // Пробелы и продолжения строк в макросах (\ в конце строки)
+  function skipSpace(j) {
+    while (j < text.length && (/\s/.test(text[j]) || /^\\\r?\n/.test(text.slice(j, j + 3)))) j++;
+    return j;
+  }
+
+  while ((i = skipSpace(i)) < text.length) {
+    const rest = text.slice(i);
+
+    // Комментарии
+    if (rest.startsWith('//') || rest.startsWith('/*')) {
+      const end = rest.startsWith('//') ? text.indexOf('\n', i) : text.indexOf('*/', i + 2);
+      if (rest.startsWith('/*') && end < 0) {
+        throw matchSyntaxError(text, i, 'незакрытый комментарий /*');
+      }
+      const stop = end < 0 ? text.length : (rest.startsWith('//') ? end : end + 2);
+      tokens.push({ type: 'comment', text: text.slice(i, stop), nestingLevel, start: i });
+      i = stop;
+      continue;
+    }
+
+    // Мета-токены; именованные захваты: $name — один токен, $name... — участок как у wildcard.
+    // Вариант с четырьмя точками (...., $name...., .__.) не ограничен объемлющим блоком
+    const capture = /^\$([A-Za-z_]\w*)(\.\.\.\.?)?/.exec(rest);
+    if (capture) {
+      tokens.push(capture[2]
+        ? { type: 'wildcard', text: capture[0], nestingLevel, start: i, capture: capture[1], unbounded: capture[2] === '....' }
+        : { type: 'capture', text: capture[0], nestingLevel, start: i, capture: capture[1] });
+      i += capture[0].length;
+      continue;
+    }
+    const skipper = /^\.__?\./.exec(rest);
+    if (skipper) {
+      const kind = skipper[0];
+      const targetStart = skipSpace(i + kind.length);
+      const target = targetStart < text.length ? scanAtom(targetStart) : null;
+      tokens.push({
+        type: 'skipper',
+        text: kind,
+        nestingLevel,
+        start: i,
+        target: target && directiveText(target[0].text),
+        unbounded: kind === '.__.'
+      });
+      i = target ? target[target.length - 1].start + target[target.length - 1].text.length : i + kind.length;
+      continue;
+    }
+    if (rest.startsWith('....')) {
+      tokens.push({ type: 'wildcard', text: '....', nestingLevel, start: i, unbounded: true });
+      i += 4;
+      continue;
+    }
+    const marker = /^(>>>|<<<)(\d*)/.exec(rest);
+    if (marker) {
+      tokens.push(markerToken(marker[0], nestingLevel, i));
+      i += marker[0].length;
+      continue;
+    }
+    if (rest.startsWith('...')) {
+      tokens.push({ type: 'wildcard', text: '...', nestingLevel, start: i });
+      i += 3;
+      continue;
+    }
+
+    // Скобки (отслеживаем вложенность)
+    if (/^[{}()[\]]/.test(rest)) {
+      if (text[i] === '{') nestingLevel++;
+      tokens.push({ type: 'bracket', text: text[i], nestingLevel, start: i });
+      if (text[i] === '}') nestingLevel--;
+      i++;
+      continue;
+    }
+
+    const atom = scanAtom(i);
+    const last = atom[atom.length - 1];
+    i = last.start + last.text.length;
+    if (atom[0].type === 'directive') {
+      atom[0].text = directiveText(atom[0].text);
+      const depth = preprocDepth(atom[0].text, lang);
+      if (depth > 0) atom[0].nestingLevel = ++nestingLevel;
+      tokens.push(atom[0]);
+      if (depth < 0) nestingLevel--;
+      continue;
+    }
+    tokens.push(...atom);
+  }
+  return tokens;
+}
+
+// Проверка структуры: парность скобок и осмысленность мета-токенов.
+// Паттерн может начинаться внутри блока и обрываться внутри блока (`... return 0 ; }`,
+// `void f ( ) { ... >>>`), поэтому лишние закрывающие в начале и незакрытые в конце допустимы,
+// а ошибкой считается только закрывающая скобка не того вида
+function checkMatchSyntax(tokens, text) {
+  const pairs = { ')': '(', ']': '[', '}': '{' };
+  const stack = [];
+  for (const tok of tokens) {
+    if (tok.type !== 'bracket') continue;
+    if (!pairs[tok.text]) {
+      stack.push(tok);
+    } else if (stack.length > 0 && stack[stack.length - 1].text !== pairs[tok.text]) {
+      const open = stack[stack.length - 1];
+      const { line, col } = offsetToLineCol(text, open.start);
+      throw matchSyntaxError(text, tok.start, `скобка \`${tok.text}\` закрывает \`${open.text}\` из строки ${line}, колонки ${col}`);
+    } else {
+      stack.pop();
+    }
+  }
+
+  // `... >>> ...` не задаёт однозначного места вставки
+  const meaningful = tokens.filter(t => t.type !== 'comment');
+  for (let i = 1; i < meaningful.length - 1; i++) {
+    if (
+      meaningful[i].type === 'inserter' &&
+      meaningful[i - 1].type === 'wildcard' &&
+      meaningful[i + 1].type === 'wildcard'
+    ) {
+      throw matchSyntaxError(text, meaningful[i].start, '`>>>` между двумя `...` не задаёт места вставки');
+    }
+  }
+
+  const markers = tokens.filter(t => t.type === 'inserter' || t.type === 'folder');
+  if (markers.some(t => t.region != null)) {
+    checkNumberedMarkers(markers, text);
+    return;
+  }
+  for (const region of markerRegions(tokens)) {
+    if (region.kind === 'delete' && region.close == null) {
+      throw matchSyntaxError(text, markers[region.open].start, '`<<<` без пары: удаление задаётся как `<<< ... >>>`, замена — как `>>> ... <<<`');
+    }
+  }
+}
+
+// Нумерованные маркеры: номер есть у всех, маркеры одной области стоят подряд
+// (`>>>N` — вставка, `>>>N ... <<<N` — замена, `<<<N ... >>>N` — удаление), номер области не повторяется
+function checkNumberedMarkers(markers, text) {
+  const unnumbered = markers.find(t => t.region == null);
+  if (unnumbered) {
+    throw matchSyntaxError(text, unnumbered.start, `\`${unnumbered.text}\` без номера среди нумерованных маркеров: пронумеруйте все маркеры или ни одного`);
+  }
+  const used = new Set();
+  for (let k = 0; k < markers.length; k++) {
+    const open = markers[k];
+    const close = markers[k + 1]?.region === open.region ? markers[++k] : null;
+    if (open.region < 1) {
+      throw matchSyntaxError(text, open.start, `\`${open.text}\`: области нумеруются с 1`);
+    }
+    if (used.has(open.region)) {
+      throw matchSyntaxError(text, open.start, `\`${open.text}\`: область ${open.region} уже задана — маркеры одной области должны стоять подряд, без маркеров других областей между ними`);
+    }
+    used.add(open.region);
+    if (close && close.type === open.type) {
+      throw matchSyntaxError(text, close.start, `второй \`${close.text}\` подряд: замена задаётся как \`>>>${open.region} ... <<<${open.region}\`, удаление — как \`<<<${open.region} ... >>>${open.region}\``);
+    }
+    if (!close && open.type === 'folder') {
+      throw matchSyntaxError(text, open.start, `\`${open.text}\` без пары: удаление задаётся как \`<<<${open.region} ... >>>${open.region}\`, замена — как \`>>>${open.region} ... <<<${open.region}\``);
+    }
+  }
+}
+
+/**
+ * Области правки match-блока по маркерам в порядке следования:
+ * `>>>` — вставка, `>>> ... <<<` — замена участка, `<<< ... >>>` — удаление без вставки.
+ * Маркеры без номеров разбираются слева направо: `>>>` забирает следующий `<<<`, если между ними нет
+ * другого `>>>`, а `<<<` — следующий `>>>`. Поэтому вставку перед удалением (`>>> ... <<< ... >>>`)
+ * так не записать: первые два маркера станут заменой. Для таких случаев маркеры нумеруются —
+ * `>>>1 ... <<<2 ... >>>2`: пару образуют соседние маркеры с одним номером, а number области
+ * связывает её с блоком ### patch N.
+ * Возвращает [{ kind: 'insert' | 'replace' | 'delete', open, close, number? }], где open и close — номера
+ * маркеров (с нуля); у вставки и у непарного `<<<` close === null
+ */
+export function markerRegions(tokens) {
+  const markers = tokens.filter(t => t.type === 'inserter' || t.type === 'folder');
+  const regions = [];
+  if (markers.some(t => t.region != null)) {
+    for (let k = 0; k < markers.length; k++) {
+      const open = k;
+      const close = markers[k + 1]?.region === markers[k].region ? ++k : null;
+      const kind = close == null ? 'insert' : markers[open].type === 'inserter' ? 'replace' : 'delete';
+      regions.push({ kind, open, close, number: markers[open].region });
+    }
+    return regions;
+  }
+  const types = markers.map(t => t.type);
+  for (let k = 0; k < types.length; k++) {
+    const next = types[k + 1];
+    if (types[k] === 'inserter') {
+      regions.push(next === 'folder' ? { kind: 'replace', open: k, close: ++k } : { kind: 'insert', open: k, close: null });
+    } else {
+      regions.push({ kind: 'delete', open: k, close: next === 'inserter' ? ++k : null });
+    }
+  }
+  return regions;
+}
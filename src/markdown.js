@@ -0,0 +1,214 @@
+/**
+ * Извлечение блоков match/patch из Markdown.
+ */
+
+// Целевой файл из info-строки блока: ```cpp file=src/foo.cpp или ```cpp:src/foo.cpp
+function fileFromInfo(info) {
+  const words = info.trim().split(/\s+/);
+  for (const word of words) {
+    if (word.startsWith('file=')) return word.slice('file='.length);
+  }
+  const colon = words[0].indexOf(':');
+  return colon > 0 ? words[0].slice(colon + 1) : null;
+}
+
+// Заголовок уровня 2–4 (# можно писать и без пробела после них), открывающая или закрывающая ограда блока кода
+const HEADING = /^ {0,3}(#{1,6})(?!#)[ \t]*(.*?)[ \t]*$/;
+const FENCE = /^([ \t]*)(`{3,}|~{3,})[ \t]*(.*?)[ \t]*$/;
+// Раздел match, patch или diff: заголовок целиком из этого слова, в том числе по-русски, с номером пункта
+// перед ним (### 1. match) и номером у patch (### patch 2, ### патч #2). Заголовки, где слово лишь
+// встречается (## Patch notes), — обычный текст
+const SECTION = /^(?:\d+[.)][ \t]*)?(match|совпадение|patch|патч|diff)(?:[ \t]+#?(\d+))?:?$/iu;
+const SECTION_KINDS = { match: 'match', совпадение: 'match', patch: 'patch', патч: 'patch', diff: 'diff' };
+// Нумерованный маркер области правки в match-блоке: >>>1, <<<2
+const NUMBERED_MARKER = /(>>>|<<<)\d/;
+
+function fenceAt(line) {
+  const m = FENCE.exec(line);
+  // В info-строке ограды из ` обратных кавычек быть не может — это код в строке, а не блок
+  if (!m || (m[2][0] === '`' && m[3].includes('`'))) return null;
+  return { marker: m[2], info: m[3] };
+}
+
+// Блок кода, открытый на строке start: { body, first, end } — текст без оград, номер строки, с которой он
+// начинается, и номер строки с закрывающей оградой (номера — с нуля).
+// Ограда закрывается такой же (или длиннее) без info-строки. Вложенная ограда той же длины с info-строкой
+// (```cpp внутри ```) открывает вложенный блок, и первая голая ограда закрывает его, а не внешний
+function readFence(lines, start, { marker }) {
+  let depth = 0;
+  for (let i = start + 1; i < lines.length; i++) {
+    const fence = fenceAt(lines[i].replace(/\r$/, ''));
+    if (!fence || fence.marker[0] !== marker[0] || fence.marker.length < marker.length) continue;
+    if (fence.info) {
+      depth++;
+    } else if (depth > 0) {
+      depth--;
+    } else {
+      // Пустые строки в начале блока пропускаем, но отступ первой строки сохраняем: по нему снимается общий отступ патча
+      let first = start + 1;
+      while (first < i && lines[first].trim() === '') first++;
+      return { body: lines.slice(first, i).map(line => line + '\n').join(''), first, end: i };
+    }
+  }
+  return null;
+}
+
+// Блок в стиле diff: строки контекста как есть, добавляемые строки — с + в начале. Становится парой match/patch:
+// контекст — паттерн с ... в начале, на месте каждой группы строк с + — маркер >>> и свой патч.
+// Удаляемых строк (-) и заголовков unified diff (---, +++, @@) в нём нет: такие строки — ошибка с номером строки.
+// line — строка с открывающей оградой, first — первая строка тела (с единицы)
+function diffToPair(body, line, first) {
+  const match = ['...'];
+  const patches = [];
+  let blanks = 0;
+  body.replace(/\n$/, '').split('\n').forEach((text, i) => {
+    const header = /^(\+\+\+|---|@@)/.exec(text);
+    if (header) {
+      throw new Error(`Строка ${first + i}: «${header[1]}» — заголовок unified diff; в diff-блоке только строки контекста и строки с +`);
+    }
+    if (text.startsWith('-')) {
+      throw new Error(`Строка ${first + i}: строки с - в diff-блоке не поддерживаются; удаление задаётся match-блоком с <<< ... >>>`);
+    }
+    if (text.trim() === '') {
+      blanks++;
+    } else if (text.startsWith('+')) {
+      if (match[match.length - 1] === '>>>') {
+        // Пустые строки между строками с + — часть вставки
+        patches[patches.length - 1] += '\n'.repeat(blanks);
+      } else {
+        match.push('>>>');
+        patches.push('');
+      }
+      patches[patches.length - 1] += text.slice(1) + '\n';
+      blanks = 0;
+    } else {
+      match.push(text);
+      blanks = 0;
+    }
+  });
+  if (patches.length === 0) throw new Error(`Строка ${line}: в diff-блоке нет строк с +`);
+  if (match.length === patches.length + 1) throw new Error(`Строка ${line}: в diff-блоке нет строк контекста — непонятно, куда вставлять`);
+  return { match: match.join('\n') + '\n', ...(patches.length === 1 ? { patch: patches[0] } : { patch: null, patches }) };
+}
+
+// Извлечение всех пар match/patch из Markdown в порядке следования.
+// Разделы — заголовки уровня 2–4 match или patch (или «Совпадение» / «Патч»), за каждым — первый
+// блок кода в ``` или ~~~ до следующего заголовка. У каждой пары есть file — целевой файл из заголовка
+// ### file: <путь> (действует до следующего такого заголовка) или из info-строки блока; null, если он не указан.
+// Если в match-блоке несколько областей вставки, за ним идут пронумерованные ### patch 1, ### patch 2, ... —
+// такие патчи собираются в массив patches. Match-блок только с удалениями (<<< ... >>>) патча не требует.
+// При нумерованных маркерах ### patch N относится к области N. У пары без match- или patch-блока
+// есть line — строка заголовка её блока, для сообщения о пропуске.
+// Блок в стиле diff — пара целиком (см. diffToPair): первый блок раздела ### diff или блок ```diff с пометкой
+// patch в info-строке (```diff patch). Прочие блоки ```diff вне разделов — примеры в тексте, они пропускаются
+export function extractBlocks(md) {
+  const lines = md.split('\n');
+  const pairs = [];
+  let pending = null; // match-блок, ещё не получивший patch
+  let pendingLine = 0;
+  let file = null;
+  let exampleDiffLine = 0; // первый пропущенный блок ```diff без пометки patch — для подсказки, если пар нет
+  let section = null; // раздел match / patch / diff, блок которого ещё не найден: { kind, number, line, level, title }
+  const noBlock = () => new Error(`Строка ${section.line}: после заголовка «${section.title}» нет блока кода`);
+  const flush = () => {
+    // При нумерованных маркерах пропуск в номерах — область удаления; патчи по областям сверит applyPatch
+    if (pending?.patches && !NUMBERED_MARKER.test(pending.match)) {
+      const missing = pending.patches.findIndex(body => body === undefined);
+      if (missing >= 0) throw new Error(`Нет блока ### patch ${missing + 1} к match-блоку из строки ${pendingLine}`);
+    }
+    if (pending) pairs.push(pending.patch === null && !pending.patches ? { ...pending, line: pendingLine } : pending);
+    pending = null;
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].replace(/\r$/, '');
+    const heading = HEADING.exec(line);
+    if (heading) {
+      const level = heading[1].length;
+      const title = heading[2];
+      // Раздел без блока кода — ошибка; только заголовок-обёртка (## Patch 1 над ### match) блока не требует
+      if (section && level <= section.level) throw noBlock();
+      section = null;
+      if (level < 2 || level > 4) continue;
+      const fileHeading = /^file:[ \t]*(.*)$/i.exec(title);
+      if (fileHeading) {
+        flush();
+        file = fileHeading[1] || null;
+        continue;
+      }
+      const m = SECTION.exec(title);
+      if (m) {
+        const kind = SECTION_KINDS[m[1].toLowerCase()];
+        const number = kind === 'patch' ? Number(m[2] ?? 0) : 0;
+        section = { kind, number, line: i + 1, level, title };
+      }
+      continue;
+    }
+
+    const fence = fenceAt(line);
+    if (!fence) continue;
+    const words = fence.info.split(/\s+/);
+    const lang = words[0].split(':')[0].toLowerCase();
+    const diffBlock = section ? section.kind === 'diff' : lang === 'diff' && words.includes('patch');
+    const relevant = section || diffBlock;
+    const fenceLine = i + 1;
+    const block = readFence(lines, i, fence);
+    if (!block) {
+      if (relevant) throw new Error(`Строка ${fenceLine}: блок кода не закрыт`);
+      // Незакрытый посторонний блок по правилам Markdown тянется до конца документа
+      break;
+    }
+    i = block.end;
+    if (!relevant) {
+      if (lang === 'diff') exampleDiffLine ||= fenceLine;
+      continue;
+    }
+    const blockFile = fileFromInfo(fence.info);
+    const { body } = block;
+
+    if (diffBlock) {
+      section = null;
+      flush();
+      pairs.push({ ...diffToPair(body, fenceLine, block.first + 1), file: blockFile ?? file });
+      continue;
+    }
+    const { kind, number, line: headingLine } = section;
+    section = null;
+    if (kind === 'match') {
+      // Два match подряд — первый остаётся без патча
+      flush();
+      pending = { match: body, patch: null, file: blockFile ?? file };
+      pendingLine = headingLine;
+    } else if (pending && number > 0) {
+      pending.patches ??= [];
+      if (pending.patches[number - 1] !== undefined) throw new Error(`Строка ${headingLine}: блок ### patch ${number} указан дважды`);
+      pending.patches[number - 1] = body;
+      pending.file = blockFile ?? pending.file;
+    } else if (pending && !pending.patches) {
+      pending.patch = body;
+      pending.file = blockFile ?? pending.file;
+      flush();
+    } else {
+      flush();
+      pairs.push({ match: null, patch: body, file: blockFile ?? file, line: headingLine });
+    }
+  }
+  if (section) throw noBlock();
+  flush();
+  if (pairs.length === 0) {
+    throw new Error('Не удалось извлечь блоки' + (exampleDiffLine
+      ? `: блок \`\`\`diff из строки ${exampleDiffLine} без пометки patch считается примером; патч в стиле diff — \`\`\`diff patch или раздел ### diff`
+      : ''));
+  }
+  return pairs;
+}
+
+// Сообщение коммита из раздела ### message (уровень заголовка — от 2 до 4): текст до следующего заголовка
+// или содержимое блока кода в нём. null, если раздела нет
+export function extractMessage(md) {
+  const m = /^ {0,3}#{2,4}[ \t]*message[ \t]*\r?\n([\s\S]*?)(?=^#{1,6}[ \t]|(?![\s\S]))/im.exec(md);
+  if (!m) return null;
+  const fenced = /^[ \t]*(```|~~~)[^\n]*\n([\s\S]*?)^[ \t]*\1/m.exec(m[1]);
+  const message = (fenced ? fenced[2] : m[1]).trim();
+  return message || null;
+}
@@ -0,0 +1,417 @@
+/**
+ * Сопоставление токенов match-блока с листовыми токенами исходника.
+ */
+import { markerRegions } from './lexer.js';
+
+const SCOPE_DIRECTIVES = ['#else', '#elif', '#elifdef', '#elifndef', '#endif'];
+// Токены исходника, открывающие и закрывающие уровень вложенности: у самих скобок и директив уровень — внутренний
+const SCOPE_OPENERS = ['{', '#if', '#ifdef', '#ifndef'];
+const SCOPE_CLOSERS = ['}', '#endif'];
+const BRACKET_PAIRS = { '(': ')', '[': ']' };
+
+/**
+ * Место правки по оффсетам маркеров (в порядке следования в паттерне): области { kind, start, end }
+ * и, для совместимости, insertionOffset / deleteOffset первой из них
+ */
+export function siteFromMarks(layout, marks, captures) {
+  const regions = layout.map(({ kind, open, close }) => ({
+    kind,
+    start: marks[open],
+    end: close == null ? null : marks[close]
+  }));
+  return { insertionOffset: regions[0].start, deleteOffset: regions[0].end, captures, regions };
+}
+
+// Поиск всех мест вставки (оффсетов всех областей правки) с учетом вложенности.
+// Перебор с возвратом, но уже пройденные состояния не повторяются, а wildcard и skipper
+// переходят сразу к кандидатам на следующий токен, поэтому время близко к линейному.
+// trace — необязательный колбэк, которому сообщается, как раскрываются wildcard и skipper
+export function findMatchSites(sourceTokens, patternTokens, srcLength, { trace } = {}) {
+  // Специальный случай: заменить всё
+  if (
+    patternTokens.length === 3 &&
+    patternTokens[0].type === 'inserter' &&
+    patternTokens[1].type === 'wildcard' &&
+    patternTokens[2].type === 'folder'
+  ) {
+    return [siteFromMarks([{ kind: 'replace', open: 0, close: 1 }], [0, srcLength], {})];
+  }
+  // Специальный случай: вставка в конце кода
+  if (
+    patternTokens.length === 2 &&
+    patternTokens[0].type === 'wildcard' &&
+    patternTokens[1].type === 'inserter'
+  ) {
+    return [siteFromMarks([{ kind: 'insert', open: 0, close: null }], [srcLength], {})];
+  }
+
+  const layout = markerRegions(patternTokens);
+  if (layout.length === 0) throw new Error('В паттерне нет >>> или <<<: непонятно, что править');
+  // Номера маркеров, открывающих области: по их оффсетам различаются места
+  const openers = layout.map(r => r.open);
+
+  // Разные пути перебора могут приводить к одному и тому же месту — храним уникальные.
+  // Место определяется началами областей: из путей с разной длиной wildcard перед закрывающим
+  // маркером остаётся первый найденный, то есть самый короткий заменяемый участок
+  const sites = new Map();
+  const siteKey = marks => openers.map(k => marks[k]).join(',');
+
+  // Индекс токенов исходника по тексту: позиции по возрастанию.
+  // По нему wildcard и skipper перебирают только кандидатов на следующий токен паттерна.
+  // Строится лениво, только для текстов, которые встречаются в паттерне
+  const index = new Map();
+  let allPositions = null;
+
+  // Позиции, где может стоять токен паттерна patTok: захват подходит почти к любому токену
+  function positionsOf(patTok) {
+    if (patTok.type === 'capture') return (allPositions ??= sourceTokens.map((t, i) => i));
+    let positions = index.get(patTok.text);
+    if (!positions) {
+      positions = [];
+      for (let i = 0; i < sourceTokens.length; i++) {
+        if (sourceTokens[i].text === patTok.text) positions.push(i);
+      }
+      index.set(patTok.text, positions);
+    }
+    return positions;
+  }
+
+  // Номер первой позиции в списке не раньше from
+  function lowerBound(positions, from) {
+    let lo = 0;
+    let hi = positions.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (positions[mid] < from) lo = mid + 1; else hi = mid;
+    }
+    return lo;
+  }
+
+  // Для каждой позиции паттерна: есть ли дальше маркер, открывающий область, и какие имена захватов встречаются дальше
+  const openerAfter = [];
+  const capturesAfter = [];
+  let markerCount = patternTokens.filter(t => t.type === 'inserter' || t.type === 'folder').length;
+  for (let pi = patternTokens.length; pi >= 0; pi--) {
+    const t = patternTokens[pi];
+    const isMarker = t?.type === 'inserter' || t?.type === 'folder';
+    if (isMarker) markerCount--;
+    openerAfter[pi] = (isMarker && openers.includes(markerCount)) || (openerAfter[pi + 1] ?? false);
+    capturesAfter[pi] = new Set(capturesAfter[pi + 1]);
+    if (t?.capture) capturesAfter[pi].add(t.capture);
+  }
+
+  // Граница блока для wildcard и skipper: они не выходят из блока, в котором начинаются, если это не .... и .__.
+  // Блок определяется по предыдущему токену исходника: после `{` и #ifdef — открытый им, после `}` и #endif —
+  // объемлющий. nextLower[j] — первая позиция после j с меньшим уровнем вложенности, по ней граница
+  // находится за число шагов не больше глубины вложенности
+  const n = sourceTokens.length;
+  const wholeFile = { end: n, closer: n };
+  const scopes = new Array(n).fill(null);
+  let nextLower = null;
+  function scopeOf(si) {
+    if (si === 0 || si >= n) return wholeFile;
+    if (scopes[si]) return scopes[si];
+    const prev = sourceTokens[si - 1];
+    let level = prev.nestingLevel;
+    if (SCOPE_CLOSERS.includes(prev.text)) level--;
+    else if (!SCOPE_OPENERS.includes(prev.text)) level = Math.min(level, sourceTokens[si].nestingLevel);
+    if (level <= 0) return (scopes[si] = wholeFile);
+
+    if (!nextLower) {
+      nextLower = new Int32Array(n).fill(n);
+      const stack = [];
+      for (let j = 0; j < n; j++) {
+        while (stack.length > 0 && sourceTokens[stack[stack.length - 1]].nestingLevel > sourceTokens[j].nestingLevel) {
+          nextLower[stack.pop()] = j;
+        }
+        stack.push(j);
+      }
+    }
+    let end = si;
+    while (end < n && sourceTokens[end].nestingLevel >= level) end = nextLower[end];
+    // Закрывающая скобка блока — его часть: `{ ... }` её находит, а завершающий wildcard останавливается перед ней
+    const last = sourceTokens[end - 1];
+    const closer = end > si && last.nestingLevel === level && SCOPE_CLOSERS.includes(last.text) ? end - 1 : end;
+    return (scopes[si] = { end, closer });
+  }
+
+  // Круглые и квадратные скобки не образуют уровня вложенности, поэтому внутри `( ... )` и `[ ... ]` паттерна
+  // граница — парная закрывающая скобка исходника. state.closers — её позиции для открытых в паттерне скобок,
+  // pairs[j] — позиция скобки, парной к `(` или `[` на позиции j (n, если пары нет)
+  let pairs = null;
+  function boundOf(si, { closers }) {
+    const scope = scopeOf(si);
+    const closer = closers[closers.length - 1];
+    if (closer === undefined || closer >= scope.end) return scope;
+    return { end: closer + 1, closer };
+  }
+  function pairOf(si) {
+    if (!pairs) {
+      pairs = new Int32Array(n).fill(n);
+      const stack = [];
+      for (let j = 0; j < n; j++) {
+        const text = sourceTokens[j].text;
+        if (text === '(' || text === '[') stack.push(j);
+        else if (stack.length > 0 && BRACKET_PAIRS[sourceTokens[stack[stack.length - 1]].text] === text) pairs[stack.pop()] = j;
+      }
+    }
+    return pairs[si];
+  }
+
+  // Мемоизация: исход перебора от (si, pi) зависит только от уже выбранных оффсетов маркеров
+  // и от захватов, на которые ссылается остаток паттерна. Повторный заход в такое же состояние
+  // даст те же места, а из одинаковых мест сохраняется первое, поэтому его можно пропустить
+  const visited = new Map();
+  const width = patternTokens.length + 1;
+  function contextOf(pi, { marks, delta, captures, closers }) {
+    let context = `${delta ?? ''}|${marks.join(':')}|${closers.join(':')}`;
+    for (const name of capturesAfter[pi]) {
+      if (captures[name]) context += `:${name}=${captures[name].tokens.join('\u0000')}`;
+    }
+    return context;
+  }
+  function seen(si, pi, state, mark = false) {
+    const context = contextOf(pi, state);
+    let states = visited.get(context);
+    if (!states) visited.set(context, (states = new Set()));
+    const key = si * width + pi;
+    if (states.has(key)) return true;
+    if (mark) states.add(key);
+    return false;
+  }
+  // Докуда доходил перебор wildcard, из которого заходили в состояние: контекст — к позициям и границам блока
+  const scanned = new Map();
+
+  // Начала всех областей уже выбраны, а место с ними уже найдено: продолжение перебора ничего не добавит
+  function settled(pi, { marks }) {
+    return !openerAfter[pi] && sites.has(siteKey(marks));
+  }
+
+  // Уровни вложенности сравниваются относительно места, где началось совпадение: delta — разница уровней
+  // исходника и паттерна на первом сопоставленном токене. Так паттерн без объемлющего кода находит место
+  // и внутри пространства имён или блока #ifdef. Пока delta не определена, уровень не проверяется
+  function levelMatches(srcTok, patTok, { delta }, tolerance = 0) {
+    return delta == null || Math.abs(srcTok.nestingLevel - delta - patTok.nestingLevel) <= tolerance;
+  }
+  function anchor(state, srcTok, patTok) {
+    return state.delta != null ? state : { ...state, delta: srcTok.nestingLevel - patTok.nestingLevel };
+  }
+
+  // Токены, закрывающие уровень вложенности или ветку #if: после wildcard подходят только на том же уровне,
+  // иначе `...` проскочил бы в чужой блок или в ветку вложенного #ifdef
+  function closesScope(patTok) {
+    return patTok.text === '}' || (patTok.type === 'directive' && SCOPE_DIRECTIVES.includes(patTok.text));
+  }
+
+  function offsetAt(si) {
+    return si >= sourceTokens.length ? srcLength : sourceTokens[si].startIndex;
+  }
+
+  function where(si) {
+    if (si >= sourceTokens.length) return 'конец файла';
+    const { row, column } = sourceTokens[si].startPosition;
+    return `${row + 1}:${column + 1}`;
+  }
+
+  // Самое дальнее продвижение по паттерну среди всех неудачных путей:
+  // pi — индекс токена паттерна, который не удалось сопоставить, si — позиция в исходнике.
+  // found: false означает, что токен не встретился вовсе до конца файла
+  // beyond: токен есть в файле, но за границей блока, из которого wildcard или skipper не выходят
+  let progress = null;
+  function fail(pi, si, found = true, beyond = false) {
+    if (!progress || pi > progress.pi || (pi === progress.pi && si > progress.si)) {
+      progress = { pi, si, found, beyond };
+    }
+  }
+
+  // Токен паттерна, который может стоять на месте токена исходника (без учёта уже связанных захватов)
+  function canMatch(srcTok, patTok) {
+    if (patTok.type === 'capture') return !/^[{}()[\]]$/.test(srcTok.text);
+    return srcTok.text === patTok.text;
+  }
+
+  // Захват участка исходника [from, to) токенов. Повторный захват с тем же именем
+  // должен совпасть с первым с точностью до токенов
+  function bind(captures, name, from, to) {
+    const tokens = sourceTokens.slice(from, to).map(t => t.text);
+    const prev = captures[name];
+    if (prev && prev.tokens.join('\u0000') !== tokens.join('\u0000')) return null;
+    if (prev) return captures;
+    const start = offsetAt(from);
+    const end = to > from ? sourceTokens[to - 1].startIndex + sourceTokens[to - 1].text.length : start;
+    return { ...captures, [name]: { start, end, tokens } };
+  }
+
+  // Перебор с возвратом; найденные оффсеты и захваты передаются по пути в state, а не через общее состояние
+  function recurse(si, pi, currentNestingLevel, state) {
+    if (settled(pi, state) || seen(si, pi, state, true)) return;
+
+    if (pi === patternTokens.length) {
+      const key = siteKey(state.marks);
+      if (!sites.has(key)) sites.set(key, siteFromMarks(layout, state.marks, state.captures));
+      return;
+    }
+
+    const p = patternTokens[pi];
+    // Пропускаем комментарии
+    if (p.type === 'comment') {
+      recurse(si, pi + 1, currentNestingLevel, state);
+      return;
+    }
+    // Inserter (>>>) и folder (<<<) — границы областей правки
+    if (p.type === 'inserter' || p.type === 'folder') {
+      recurse(si, pi + 1, currentNestingLevel, { ...state, marks: [...state.marks, offsetAt(si)] });
+      return;
+    }
+    // Skipper (._.) — пропуск до первого вхождения target или до следующего токена в пределах блока, .__. — без границы
+    if (p.type === 'skipper') {
+      let nextIdx = pi + 1;
+      while (
+        nextIdx < patternTokens.length &&
+        ['comment', 'inserter', 'folder', 'skipper'].includes(patternTokens[nextIdx].type)
+      ) {
+        nextIdx++;
+      }
+      const scope = p.unbounded ? wholeFile : boundOf(si, state);
+      if (p.target) {
+        // Ищем target в sourceTokens
+        const positions = positionsOf({ text: p.target });
+        const k = lowerBound(positions, si);
+        if (k < positions.length && positions[k] < scope.end) {
+          const sj = positions[k];
+          trace?.(`skipper #${pi + 1}: пропуск до \`${p.target}\` на ${where(sj)}`);
+          recurse(sj + 1, pi + 1, sourceTokens[sj].nestingLevel, state);
+          return;
+        }
+        fail(pi, si, false, k < positions.length);
+        return; // target не найден
+      } else if (nextIdx < patternTokens.length) {
+        // Нет target, ищем следующий токен в паттерне
+        const nextTok = patternTokens[nextIdx];
+        const positions = positionsOf(nextTok);
+        for (let k = lowerBound(positions, si); k < positions.length; k++) {
+          const sj = positions[k];
+          if (sj >= scope.end) {
+            fail(nextIdx, si, false, true);
+            return;
+          }
+          if (canMatch(sourceTokens[sj], nextTok)) {
+            trace?.(`skipper #${pi + 1}: пропуск до \`${nextTok.text}\` на ${where(sj)}`);
+            recurse(sj, pi + 1, sourceTokens[sj].nestingLevel, state);
+            return;
+          }
+        }
+        fail(nextIdx, si, false);
+        return; // следующий токен не найден
+      }
+      // Если нет target и нет следующего токена, пропускаем до конца блока
+      recurse(scope.closer, pi + 1, currentNestingLevel, state);
+      return;
+    }
+    // Wildcard с учетом вложенности: ... не выходит из блока, в котором начался, .... — без границы
+    if (p.type === 'wildcard') {
+      let nextIdx = pi + 1;
+      let unbounded = p.unbounded;
+      while (
+        nextIdx < patternTokens.length &&
+        ['wildcard', 'comment', 'folder', 'inserter', 'skipper'].includes(patternTokens[nextIdx].type)
+      ) {
+        unbounded ||= patternTokens[nextIdx].unbounded;
+        nextIdx++;
+      }
+      const scope = unbounded ? wholeFile : boundOf(si, state);
+      if (nextIdx >= patternTokens.length) {
+        // Маркеры после завершающего wildcard ставятся в конец блока (перед закрывающей скобкой) или файла
+        const captures = p.capture ? bind(state.captures, p.capture, si, scope.closer) : state.captures;
+        if (captures) recurse(scope.closer, pi + 1, currentNestingLevel, { ...state, captures });
+        return;
+      }
+      const nextTok = patternTokens[nextIdx];
+      // Если предыдущий токен в паттерне — '{', а следующий — '>>>', разрешаем вставку сразу после '{'
+      if (
+        pi > 0 &&
+        patternTokens[pi - 1].text === '{' &&
+        nextTok.type === 'inserter'
+      ) {
+        const marks = [...state.marks, sourceTokens[si - 1].startIndex + 1];
+        recurse(si, nextIdx + 1, sourceTokens[si - 1].nestingLevel + 1, { ...state, marks });
+        return;
+      }
+      let tried = false;
+      let beyond = false;
+      const positions = positionsOf(nextTok);
+      for (let k = lowerBound(positions, si); k < positions.length; k++) {
+        const sj = positions[k];
+        if (sj >= scope.end) {
+          beyond = true;
+          break;
+        }
+        if (!canMatch(sourceTokens[sj], nextTok)) {
+          continue;
+        }
+        // Если это '}' или #else / #elif / #endif, проверяем, чтобы уровень вложенности совпадал с ожидаемым
+        if (closesScope(nextTok) && !levelMatches(sourceTokens[sj], nextTok, state)) {
+          continue;
+        }
+        const captures = p.capture ? bind(state.captures, p.capture, si, sj) : state.captures;
+        if (!captures) {
+          continue;
+        }
+        tried = true;
+        // Без захвата продолжение зависит только от sj. Если в него уже заходил перебор этого же
+        // wildcard с более раннего места и с границей не ближе, он перебрал и все следующие позиции — дальше можно не идти
+        if (!p.capture) {
+          const context = contextOf(pi + 1, state);
+          let ends = scanned.get(context);
+          if (!ends) scanned.set(context, (ends = new Map()));
+          const key = sj * width + pi + 1;
+          if (ends.get(key) >= scope.end) break;
+          ends.set(key, scope.end);
+        }
+        if (settled(pi + 1, state)) break;
+        trace?.(`wildcard #${pi + 1}: пробуем \`${nextTok.text}\` на ${where(sj)}`);
+        recurse(sj, pi + 1, sourceTokens[sj].nestingLevel, { ...state, captures });
+      }
+      if (!tried) fail(nextIdx, si, false, beyond);
+      return;
+    }
+    // Захват одного токена
+    if (p.type === 'capture') {
+      const captures = si < sourceTokens.length && canMatch(sourceTokens[si], p)
+        ? bind(state.captures, p.capture, si, si + 1)
+        : null;
+      if (captures) {
+        recurse(si + 1, pi + 1, sourceTokens[si].nestingLevel, anchor({ ...state, captures }, sourceTokens[si], p));
+      } else {
+        fail(pi, si);
+      }
+      return;
+    }
+    // Позволяем небольшое расхождение в nestingLevel для '{'; директивы #if / #else / #endif — строго на своём уровне
+    if (
+      si < sourceTokens.length &&
+      sourceTokens[si].text === p.text &&
+      (p.type !== 'bracket' || levelMatches(sourceTokens[si], p, state, 1)) &&
+      (p.type !== 'directive' || levelMatches(sourceTokens[si], p, state))
+    ) {
+      let { closers } = state;
+      if (p.type === 'bracket' && BRACKET_PAIRS[p.text]) closers = [...closers, pairOf(si)];
+      else if (p.type === 'bracket' && (p.text === ')' || p.text === ']')) closers = closers.slice(0, -1);
+      recurse(si + 1, pi + 1, sourceTokens[si].nestingLevel, anchor({ ...state, closers }, sourceTokens[si], p));
+    } else {
+      fail(pi, si);
+    }
+  }
+
+  recurse(0, 0, 0, { marks: [], captures: {}, closers: [] });
+  if (sites.size === 0) {
+    throw Object.assign(new Error('Не удалось найти место вставки по паттерну'), { progress });
+  }
+  // Места вставки в порядке следования в файле
+  return [...sites.values()].sort((a, b) => a.insertionOffset - b.insertionOffset);
+}
+
+// Поиск оффсетов вставки и удаления: первое место в файле
+export function findInsertionOffset(sourceTokens, patternTokens, srcLength) {
+  return findMatchSites(sourceTokens, patternTokens, srcLength)[0];
+}
@@ -0,0 +1,191 @@
+/**
+ * Селекторы по AST: match-блок вида `@function Foo::bar body:end >>>` находит узел по имени
+ * в дереве tree-sitter и место вставки относительно него.
+ */
+import { LANGUAGES } from './languages.js';
+import { parseSource } from './source.js';
+
+const KINDS = ['function', 'method', 'class', 'struct', 'namespace', 'interface'];
+const KIND_ALIASES = { method: 'function', struct: 'class' };
+const POSITIONS = ['before', 'after', 'body:start', 'body:end'];
+const ACCESS = ['public', 'protected', 'private'];
+const FUNCTION_VALUES = ['arrow_function', 'function_expression', 'function', 'generator_function'];
+
+// Разбирает match-блок как селектор. Возвращает null, если блок не начинается с @<вид>
+// (например, с декоратора TypeScript — такой блок остаётся обычным паттерном)
+export function parseSelector(match) {
+  const text = match
+    .replace(/\/\*[\s\S]*?\*\//g, ' ')
+    .replace(/\/\/[^\n]*/g, ' ')
+    .trim();
+  if (!KINDS.includes(text.match(/^@(\w+)/)?.[1])) return null;
+
+  const m = text.match(/^@(\w+)\s+(\S+)\s+(\S+)\s*(>>>)?$/);
+  if (!m) {
+    throw new Error(`Селектор должен иметь вид @<вид> <имя> <позиция> >>>, получено: ${text.split('\n')[0]}`);
+  }
+  const [, rawKind, name, position] = m;
+  const kind = KIND_ALIASES[rawKind] || rawKind;
+  const [section, edge] = position.split(':');
+  if (!POSITIONS.includes(position) && !(ACCESS.includes(section) && ['start', 'end'].includes(edge))) {
+    throw new Error(
+      `Неизвестная позиция в селекторе: ${position}. ` +
+      `Допустимы ${POSITIONS.join(', ')}, а для классов C++ — public:start, private:end и т. п.`
+    );
+  }
+  return { kind, rawKind, name, path: splitName(name), position };
+}
+
+// Части квалифицированного имени: Foo::bar, Foo.bar; аргументы шаблона не учитываются
+function splitName(name) {
+  return name
+    .replace(/<[^<>]*>/g, '')
+    .split(/::|\./)
+    .map(part => part.trim())
+    .filter(Boolean);
+}
+
+// Имя узла: поле name (или property у полей классов JS), у функций C/C++ — имя из декларатора
+function nodeName(node) {
+  const named = node.childForFieldName('name') || node.childForFieldName('property');
+  if (named) return named.text;
+  let declarator = node.childForFieldName('declarator');
+  while (declarator && declarator.type !== 'function_declarator') {
+    declarator = declarator.childForFieldName('declarator');
+  }
+  return declarator?.childForFieldName('declarator')?.text.replace(/\s+/g, '') ?? null;
+}
+
+// Значение-функция у переменной или поля класса JS: const f = () => { ... }
+function functionValue(node) {
+  const value = node.childForFieldName('value');
+  return value && FUNCTION_VALUES.includes(value.type) ? value : null;
+}
+
+function bodyOf(node) {
+  const body = node.childForFieldName('body') || functionValue(node)?.childForFieldName('body');
+  return body?.child(0)?.type === '{' ? body : null;
+}
+
+// Полное имя узла с учётом объемлющих пространств имён и классов
+function qualifiedPath(node, scopeTypes) {
+  const parts = splitName(nodeName(node) || '');
+  for (let p = node.parent; p; p = p.parent) {
+    if (scopeTypes.has(p.type)) {
+      const name = nodeName(p);
+      if (name) parts.unshift(...splitName(name));
+    }
+  }
+  return parts;
+}
+
+// Оффсет начала следующей строки, если до конца строки после offset только пробелы; иначе сам offset
+function nextLineStart(src, offset) {
+  const nl = src.indexOf('\n', offset);
+  const lineEnd = nl < 0 ? src.length : nl + 1;
+  return src.slice(offset, lineEnd).trim() === '' ? lineEnd : offset;
+}
+
+// Узел вместе с обёрткой: template <...>, export, const f = ... — вставка до и после обходит их целиком
+function outerNode(node) {
+  let outer = node;
+  for (let p = outer.parent; p; p = outer.parent) {
+    const wraps = p.type === 'template_declaration' || p.type === 'export_statement' ||
+      (['lexical_declaration', 'variable_declaration'].includes(p.type) && p.namedChildCount === 1);
+    if (!wraps) break;
+    outer = p;
+  }
+  return outer;
+}
+
+// Секции доступа тела класса C++: [{ access, start, end }], где start — сразу после `public:`,
+// end — начало следующей секции или закрывающей скобки
+function accessSections(body, defaultAccess) {
+  const sections = [{ access: defaultAccess, start: body.child(0).endIndex, end: null }];
+  for (let i = 0; i < body.childCount; i++) {
+    const child = body.child(i);
+    if (child.type !== 'access_specifier') continue;
+    sections[sections.length - 1].end = child.startIndex;
+    const colon = body.child(i + 1);
+    sections.push({ access: child.text, start: colon?.type === ':' ? colon.endIndex : child.endIndex, end: null });
+  }
+  sections[sections.length - 1].end = body.child(body.childCount - 1).startIndex;
+  // Неявная секция до первого спецификатора учитывается, только если спецификаторов нет или в ней есть члены класса
+  const [implicit] = sections;
+  const hasMembers = body.namedChildren.some(c => c.startIndex >= implicit.start && c.endIndex <= implicit.end && c.type !== 'comment');
+  return sections.length === 1 || hasMembers ? sections : sections.slice(1);
+}
+
+// Место вставки для найденного узла
+function insertionOffset(src, node, selector) {
+  const { position } = selector;
+  const outer = outerNode(node);
+  if (position === 'before') return outer.startIndex;
+  if (position === 'after') {
+    // После узла и завершающей `;`, если она стоит следом
+    const next = outer.nextSibling;
+    const end = next && next.type === ';' ? next.endIndex : outer.endIndex;
+    return nextLineStart(src, end);
+  }
+
+  const body = bodyOf(node);
+  if (!body) throw new Error(`У ${describe(selector)} нет тела в фигурных скобках`);
+  const open = body.child(0).endIndex;
+  const close = body.child(body.childCount - 1).startIndex;
+  if (position === 'body:start') return nextLineStart(src, open);
+  if (position === 'body:end') return close;
+
+  const [access, edge] = position.split(':');
+  if (body.type !== 'field_declaration_list') {
+    throw new Error(`Секции ${access}: есть только у классов и структур C++`);
+  }
+  const defaultAccess = node.type === 'class_specifier' ? 'private' : 'public';
+  const sections = accessSections(body, defaultAccess).filter(s => s.access === access);
+  if (sections.length === 0) throw new Error(`В ${describe(selector)} нет секции ${access}:`);
+  if (edge === 'start') return nextLineStart(src, sections[0].start);
+  // Конец секции — перед строкой со следующим спецификатором или закрывающей скобкой
+  const end = sections[sections.length - 1].end;
+  const lineBegin = src.lastIndexOf('\n', end - 1) + 1;
+  return src.slice(lineBegin, end).trim() === '' ? lineBegin : end;
+}
+
+function describe({ rawKind, name }) {
+  return `@${rawKind} ${name}`;
+}
+
+/**
+ * Находит места вставки по селектору: все узлы нужного вида, полное имя которых оканчивается на имя селектора
+ * (bar подходит к ns::Foo::bar). Формат мест — как у findMatchSites.
+ */
+export function findSelectorSites(src, selector, lang = LANGUAGES.cpp) {
+  const types = lang.selectors?.[selector.kind];
+  if (!types) {
+    const kinds = Object.keys(lang.selectors || {}).map(k => `@${k}`).join(', ');
+    throw new Error(`Селектор @${selector.rawKind} не поддерживается для языка ${lang.name}; доступны: ${kinds}`);
+  }
+  const wanted = new Set(types);
+  const scopeTypes = new Set(Object.values(lang.selectors).flat().filter(t => !lang.selectors.function.includes(t)));
+
+  const tree = parseSource(src, lang);
+  const found = [];
+  const seenNames = new Set();
+  (function walk(node) {
+    // Переменные и поля классов JS считаются функциями, только если их значение — функция
+    const isValue = node.type === 'variable_declarator' || node.type.endsWith('field_definition');
+    if (wanted.has(node.type) && (!isValue || functionValue(node))) {
+      const parts = qualifiedPath(node, scopeTypes);
+      if (parts.length > 0) seenNames.add(parts.join('::'));
+      const tail = parts.slice(-selector.path.length);
+      if (tail.length === selector.path.length && tail.every((part, i) => part === selector.path[i])) found.push(node);
+    }
+    for (let i = 0; i < node.namedChildCount; i++) walk(node.namedChild(i));
+  })(tree.rootNode);
+
+  if (found.length === 0) {
+    const names = [...seenNames].slice(0, 10).join(', ');
+    throw new Error(`Не найден ${describe(selector)}` + (names ? `. Найдены: ${names}` : ''));
+  }
+  return found
+    .map(node => ({ insertionOffset: insertionOffset(src, node, selector), deleteOffset: null, captures: {} }))
+    .sort((a, b) => a.insertionOffset - b.insertionOffset);
+}
@@ -0,0 +1,209 @@
+/**
+ * Режим сервера для плагинов редакторов (patcher serve): JSON-RPC 2.0 через stdin/stdout.
+ * Методы match, preview и apply принимают исходник и Markdown-патч путями к файлам или текстом
+ * несохранённых буферов. Деревья разбора хранятся по документам и при правках буфера
+ * разбираются инкрементально.
+ */
+import fs from 'fs';
+import path from 'path';
+import { detectLanguage } from './languages.js';
+import { parseSource } from './source.js';
+import { applyPatch, matchPatch } from './apply.js';
+import { extractBlocks } from './markdown.js';
+import { unifiedDiff } from './diff.js';
+import { recordEdits } from './journal.js';
+
+// Коды ошибок JSON-RPC; ошибки самих патчей (чтение файлов, синтаксические ошибки результата) — PATCH_ERROR
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const PATCH_ERROR = -32000;
+
+function rpcError(code, message, data) {
+  return Object.assign(new Error(message), { code, data });
+}
+
+function invalidParams(message) {
+  return rpcError(INVALID_PARAMS, message);
+}
+
+// Сервер с кэшем документов: handle принимает текст сообщения и возвращает текст ответа (null для уведомлений)
+function createServer() {
+  // Путь исходника к последней версии документа { text, tree, lang }
+  const documents = new Map();
+
+  // Исходник запроса: text — содержимое несохранённого буфера, иначе файл с диска.
+  // Дерево новой версии документа разбирается от дерева прежней
+  function openDocument({ file, text, lang }) {
+    if (text == null && file == null) throw invalidParams('Нужен file или text исходника');
+    if (text != null && typeof text !== 'string') throw invalidParams('text должен быть строкой');
+    const language = detectLanguage(file, lang);
+    const source = text ?? fs.readFileSync(file, 'utf8');
+    if (file != null) updateDocument(file, source, language);
+    return { source, lang: language };
+  }
+
+  function updateDocument(file, text, lang) {
+    const key = path.resolve(file);
+    const previous = documents.get(key);
+    const tree = parseSource(text, lang, previous?.lang === lang ? previous : null);
+    documents.set(key, { text, tree, lang });
+  }
+
+  // Пары match/patch: markdown — текст несохранённого буфера, иначе файл patchFile
+  function readPairs({ markdown, patchFile }) {
+    if (markdown == null && patchFile == null) throw invalidParams('Нужен markdown или patchFile');
+    return extractBlocks(markdown ?? fs.readFileSync(patchFile, 'utf8'));
+  }
+
+  function patchOptions({ file, occurrence, all, fuzzy, verify = true }, lang) {
+    if (fuzzy != null && !(fuzzy > 0 && fuzzy <= 1)) throw invalidParams(`fuzzy: порог должен быть числом от 0 до 1, получено ${fuzzy}`);
+    return { filePath: file, lang, occurrence, all, fuzzy, verify };
+  }
+
+  // Результаты пар без объектов ошибок — как в JSON-выводе CLI
+  const reportResults = results =>
+    results.map(({ index, status, message, sites, alreadyApplied }) => ({ index, status, message, sites, alreadyApplied }));
+
+  const methods = {
+    // Места, к которым подходят match-блоки, без применения
+    match(params) {
+      const { source, lang } = openDocument(params);
+      return { results: matchPatch(source, readPairs(params), patchOptions(params, lang)) };
+    },
+
+    // Результат применения без записи: format text — пропатченный текст, diff — unified diff
+    preview(params) {
+      const { format = 'text', context = 3 } = params;
+      if (format !== 'text' && format !== 'diff') throw invalidParams(`format: ожидается text или diff, получено ${format}`);
+      const { source, lang } = openDocument(params);
+      const { text, results, edits, offsets, range } = applyPatch(source, readPairs(params), patchOptions(params, lang));
+      const name = params.file != null ? path.relative(process.cwd(), path.resolve(params.file)).split(path.sep).join('/') : 'buffer';
+      return {
+        changed: text !== source,
+        results: reportResults(results),
+        edits,
+        offsets,
+        range,
+        ...(format === 'text'
+          ? { text }
+          : { diff: unifiedDiff(source, text, { oldName: `a/${name}`, newName: `b/${name}`, context }) })
+      };
+    },
+
+    // Применение с записью в out (по умолчанию — в file) и журналом отмены, как у CLI
+    apply(params) {
+      const out = params.out ?? params.file;
+      if (out == null) throw invalidParams('Нужен file или out: куда записать результат');
+      const { source, lang } = openDocument(params);
+      const { text, results, edits, offsets, range } = applyPatch(source, readPairs(params), patchOptions(params, lang));
+      const written = results.some(r => r.status === 'applied');
+      if (written) {
+        fs.mkdirSync(path.dirname(out), { recursive: true });
+        fs.writeFileSync(out, text, 'utf8');
+        recordEdits(out, source, edits);
+        updateDocument(out, text, lang);
+      }
+      return { file: path.resolve(out), written, results: reportResults(results), edits, offsets, range };
+    },
+
+    // Редактор закрыл документ: его дерево больше не нужно
+    close({ file }) {
+      if (file == null) throw invalidParams('Нужен file');
+      documents.delete(path.resolve(file));
+      return null;
+    }
+  };
+
+  // Ответ на один запрос; для уведомлений (без id) — null
+  function respond(request) {
+    if (request === null || typeof request !== 'object' || request.jsonrpc !== '2.0' || typeof request.method !== 'string') {
+      return { jsonrpc: '2.0', id: request?.id ?? null, error: { code: INVALID_REQUEST, message: 'Ожидается запрос JSON-RPC 2.0' } };
+    }
+    const { id, method, params = {} } = request;
+    let reply;
+    try {
+      if (!Object.hasOwn(methods, method)) throw rpcError(METHOD_NOT_FOUND, `Неизвестный метод: ${method}`);
+      if (params === null || typeof params !== 'object' || Array.isArray(params)) throw invalidParams('params должен быть объектом');
+      reply = { result: methods[method](params) };
+    } catch (err) {
+      // Числовой код — от rpcError; строковые коды ошибок Node (ENOENT и т. п.) в JSON-RPC не годятся
+      const code = Number.isInteger(err.code) ? err.code : PATCH_ERROR;
+      const data = err.data ?? (err.syntaxErrors && { syntaxErrors: err.syntaxErrors });
+      reply = { error: { code, message: err.message, ...(data && { data }) } };
+    }
+    return 'id' in request ? { jsonrpc: '2.0', id, ...reply } : null;
+  }
+
+  return {
+    handle(body) {
+      let message;
+      try {
+        message = JSON.parse(body);
+      } catch (err) {
+        return JSON.stringify({ jsonrpc: '2.0', id: null, error: { code: PARSE_ERROR, message: `Некорректный JSON: ${err.message}` } });
+      }
+      // Пакет запросов: ответы на всё, кроме уведомлений
+      if (Array.isArray(message)) {
+        if (message.length === 0) return JSON.stringify(respond(null));
+        const replies = message.map(respond).filter(Boolean);
+        return replies.length > 0 ? JSON.stringify(replies) : null;
+      }
+      const reply = respond(message);
+      return reply && JSON.stringify(reply);
+    }
+  };
+}
+
+// Сообщения приходят либо с заголовком Content-Length, как в LSP, либо по одному JSON на строку.
+// onMessage получает тело сообщения и способ, которым оно пришло
+function messageReader(onMessage) {
+  let buffer = Buffer.alloc(0);
+  return chunk => {
+    buffer = Buffer.concat([buffer, chunk]);
+    for (;;) {
+      if (/^content-length:/i.test(buffer.subarray(0, 15).toString('latin1'))) {
+        const headerEnd = buffer.indexOf('\r\n\r\n');
+        if (headerEnd < 0) return;
+        const length = Number(/content-length:[ \t]*(\d+)/i.exec(buffer.subarray(0, headerEnd).toString('latin1'))?.[1]);
+        const start = headerEnd + 4;
+        if (!Number.isInteger(length)) {
+          buffer = buffer.subarray(start);
+          onMessage('', 'headers');
+          continue;
+        }
+        if (buffer.length < start + length) return;
+        const body = buffer.subarray(start, start + length).toString('utf8');
+        buffer = buffer.subarray(start + length);
+        onMessage(body, 'headers');
+      } else {
+        const nl = buffer.indexOf(0x0a);
+        if (nl < 0) return;
+        const line = buffer.subarray(0, nl).toString('utf8').trim();
+        buffer = buffer.subarray(nl + 1);
+        if (line) onMessage(line, 'lines');
+      }
+    }
+  };
+}
+
+/**
+ * Обслуживает запросы JSON-RPC из input и пишет ответы в output, пока input не закроется.
+ * Ответ уходит в том же виде, что и запрос: с заголовком Content-Length или строкой JSON.
+ */
+export function serve(input = process.stdin, output = process.stdout) {
+  const server = createServer();
+  const read = messageReader((body, framing) => {
+    const reply = server.handle(body);
+    if (reply == null) return;
+    output.write(framing === 'headers'
+      ? `Content-Length: ${Buffer.byteLength(reply, 'utf8')}\r\n\r\n${reply}`
+      : reply + '\n');
+  });
+  return new Promise((resolve, reject) => {
+    input.on('data', read);
+    input.on('end', resolve);
+    input.on('error', reject);
+  });
+}
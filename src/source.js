@@ -0,0 +1,163 @@
+/**
+ * Разбор исходника грамматикой tree-sitter: листовые токены для сопоставления и синтаксические ошибки.
+ */
+import Parser from 'tree-sitter';
+import { LANGUAGES } from './languages.js';
+import { lexMatch } from './lexer.js';
+
+// Один парсер на язык: разбор синхронный, и парсер можно переиспользовать
+const parsers = new Map();
+
+// Последние разобранные тексты: листья, отступы и проверка синтаксиса разбирают один и тот же текст
+// по нескольку раз, а сервер для редакторов — ещё и при каждом запросе
+const PARSED_LIMIT = 8;
+const parsed = new Map();
+// Деревья, уже отданные под инкрементальный разбор: одно дерево могло достаться двум документам с одинаковым текстом
+const editedTrees = new WeakSet();
+
+// Правка, превращающая before в after: общие начало и конец текстов остаются, меняется середина
+function editBetween(before, after) {
+  let start = 0;
+  const shorter = Math.min(before.length, after.length);
+  while (start < shorter && before[start] === after[start]) start++;
+  let oldEnd = before.length;
+  let newEnd = after.length;
+  while (oldEnd > start && newEnd > start && before[oldEnd - 1] === after[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+  }
+  const point = (text, offset) => {
+    const lineStart = text.lastIndexOf('\n', offset - 1) + 1;
+    return { row: text.slice(0, lineStart).split('\n').length - 1, column: offset - lineStart };
+  };
+  return {
+    startIndex: start,
+    oldEndIndex: oldEnd,
+    newEndIndex: newEnd,
+    startPosition: point(before, start),
+    oldEndPosition: point(before, oldEnd),
+    newEndPosition: point(after, newEnd)
+  };
+}
+
+// Разобранный текст { lang, tree, leaves? } из кэша или новый разбор
+function parsedSource(src, lang, previous) {
+  let entry = parsed.get(src);
+  if (entry?.lang !== lang) {
+    if (!parsers.has(lang)) {
+      const parser = new Parser();
+      parser.setLanguage(lang.grammar);
+      parsers.set(lang, parser);
+    }
+    let oldTree;
+    if (previous?.tree && !editedTrees.has(previous.tree)) {
+      // Дерево прежней версии правится на месте — в кэше под старым текстом его больше быть не должно
+      if (parsed.get(previous.text)?.tree === previous.tree) parsed.delete(previous.text);
+      previous.tree.edit(editBetween(previous.text, src));
+      editedTrees.add(previous.tree);
+      oldTree = previous.tree;
+    }
+    // По умолчанию привязка читает не больше 32 КБ текста и на больших файлах падает с Invalid argument
+    const tree = parsers.get(lang).parse(src, oldTree, { bufferSize: Math.max(32 * 1024, src.length * 2 + 1) });
+    entry = { lang, tree };
+  }
+  parsed.delete(src);
+  parsed.set(src, entry);
+  if (parsed.size > PARSED_LIMIT) parsed.delete(parsed.keys().next().value);
+  return entry;
+}
+
+// Разбор исходника грамматикой языка. previous — прежняя версия того же документа { text, tree }:
+// её дерево правится под новый текст, и разбор идёт инкрементально. Само дерево previous после этого
+// использовать нельзя
+export function parseSource(src, lang = LANGUAGES.cpp, previous = null) {
+  return parsedSource(src, lang, previous).tree;
+}
+
+// Листья, которые грамматика отдаёт одним куском: тело макроса и <stdio.h>.
+// Их текст дробится лексером match-блока, чтобы токены совпадали с токенами паттерна
+const SPLIT_LEAVES = new Set(['preproc_arg', 'system_lib_string']);
+
+function splitLeaf(node, nestingLevel, lang) {
+  let parts;
+  try {
+    parts = lexMatch(node.text, lang).filter(t => t.type !== 'comment');
+  } catch {
+    return null;
+  }
+  return parts.map(t => {
+    const before = node.text.slice(0, t.start);
+    const newlines = before.split('\n').length - 1;
+    const startPosition = newlines === 0
+      ? { row: node.startPosition.row, column: node.startPosition.column + t.start }
+      : { row: node.startPosition.row + newlines, column: t.start - before.lastIndexOf('\n') - 1 };
+    return { text: t.text, startIndex: node.startIndex + t.start, startPosition, nestingLevel: nestingLevel + t.nestingLevel };
+  });
+}
+
+// Собирает листовые токены из AST с учетом вложенности.
+// Блоки #if / #ifdef тоже образуют уровень вложенности; переводы строк, которые грамматика
+// оставляет после условий #if и #elif, в токены не попадают
+export function getLeafTokens(src, lang = LANGUAGES.cpp) {
+  const entry = parsedSource(src, lang);
+  if (entry.leaves) return entry.leaves;
+  const leaves = [];
+
+  function walk(node, nestingLevel = 0) {
+    if (lang.blockNodes.has(node.type) || lang.preprocNodes.has(node.type)) {
+      nestingLevel++;
+    }
+    if (node.childCount === 0) {
+      if (/^\s+$/.test(node.text)) return;
+      const parts = SPLIT_LEAVES.has(node.type) ? splitLeaf(node, nestingLevel, lang) : null;
+      if (parts) {
+        leaves.push(...parts);
+      } else {
+        // `#  ifdef` — та же директива, что и `#ifdef`
+        const text = node.text.startsWith('#') ? node.text.replace(/^#\s+/, '#') : node.text;
+        leaves.push({ text, startIndex: node.startIndex, startPosition: node.startPosition, nestingLevel });
+      }
+    } else {
+      for (let i = 0; i < node.childCount; i++) {
+        walk(node.child(i), nestingLevel);
+      }
+    }
+  }
+  walk(entry.tree.rootNode);
+  return (entry.leaves = leaves);
+}
+
+// Синтаксические ошибки исходника: узлы ERROR (без вложенных) и MISSING
+export function findSyntaxErrors(src, lang = LANGUAGES.cpp) {
+  const errors = [];
+  function walk(node) {
+    if (node.type === 'ERROR' || node.isMissing) {
+      const kind = node.isMissing ? `MISSING ${node.type}` : 'ERROR';
+      const text = node.text.replace(/\s+/g, ' ').slice(0, 40);
+      errors.push({ kind, text, line: node.startPosition.row + 1, col: node.startPosition.column + 1 });
+      return;
+    }
+    for (const child of node.children) {
+      if (child.hasError || child.isMissing) walk(child);
+    }
+  }
+  const { rootNode } = parseSource(src, lang);
+  if (rootNode.hasError) walk(rootNode);
+  return errors;
+}
+
+// Ошибки, которых не было в исходном тексте. Позиции после правки сдвигаются,
+// поэтому ошибки сопоставляются по виду и тексту узла
+export function newSyntaxErrors(before, after, lang) {
+  const known = new Map();
+  for (const { kind, text } of findSyntaxErrors(before, lang)) {
+    const key = `${kind}\u0000${text}`;
+    known.set(key, (known.get(key) || 0) + 1);
+  }
+  return findSyntaxErrors(after, lang).filter(({ kind, text }) => {
+    const key = `${kind}\u0000${text}`;
+    if (!known.get(key)) return true;
+    known.set(key, known.get(key) - 1);
+    return false;
+  });
+}
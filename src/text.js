@@ -0,0 +1,16 @@
+/**
+ * Вспомогательные функции для работы с позициями в тексте.
+ */
+
+// Переводит оффсет в тексте в номер строки и колонки (с единицы)
+export function offsetToLineCol(text, offset) {
+  const before = text.slice(0, offset);
+  const line = before.split('\n').length;
+  const col = offset - before.lastIndexOf('\n');
+  return { line, col };
+}
+
+// Разбивает текст на строки, сохраняя перевод строки в конце каждой
+export function splitLines(text) {
+  return text.match(/[^\n]*\n|[^\n]+$/g) || [];
+}
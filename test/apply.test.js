@@ -0,0 +1,95 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { applyPatch, matchPatch } from '../index.js';
+
+const SRC = `void init() {
+  foo();
+  bar();
+}
+
+int main() {
+  init();
+  return 0;
+}
+`;
+
+const apply = (pairs, options) => applyPatch(SRC, pairs, { lang: 'cpp', ...options });
+
+test('вставка целой строкой получает отступ места вставки', () => {
+  const { text, results } = apply([{ match: '... int main ( ) {\n>>>', patch: 'puts("start");\n' }]);
+  assert.equal(results[0].status, 'applied');
+  assert.match(text, /int main\(\) \{\n {2}puts\("start"\);\n {2}init\(\);/);
+});
+
+test('блочный патч без перевода строки в конце встаёт отдельной строкой', () => {
+  assert.match(apply([{ match: '... foo ( ) ;\n>>>', patch: 'log();' }]).text, /foo\(\);\n {2}log\(\);\n {2}bar\(\);/);
+  assert.match(apply([{ match: '... bar ( ) ;\n>>>\n}', patch: 'log();' }]).text, /bar\(\);\n {2}log\(\);\n\}/);
+  assert.match(apply([{ match: '... return >>> 0 <<< ;', patch: '1' }]).text, /return 1;/);
+});
+
+test('повторное применение не дублирует вставку', () => {
+  const pairs = [{ match: '... int main ( ) {\n>>>', patch: 'puts("start");\n' }];
+  const once = apply(pairs).text;
+  const twice = applyPatch(once, pairs, { lang: 'cpp' });
+  assert.equal(twice.text, once);
+  assert.equal(twice.results[0].status, 'already-applied');
+});
+
+test('токены якоря перед >>> не принимаются за уже вставленный патч', () => {
+  const { text, results } = apply([{ match: '... void init ( ) { ... bar ( ) ;\n>>>', patch: 'bar();\n' }]);
+  assert.equal(results[0].status, 'applied');
+  assert.match(text, /bar\(\);\n {2}bar\(\);/);
+});
+
+test('вставка между точными токенами при повторе распознаётся как уже применённая', () => {
+  for (const match of ['... return 0 ;\n>>>\n}', '... init ( ) ;\n>>>\nreturn']) {
+    const pairs = [{ match, patch: 'log();\n' }];
+    const once = apply(pairs).text;
+    const twice = applyPatch(once, pairs, { lang: 'cpp' });
+    assert.equal(twice.text, once);
+    assert.equal(twice.results[0].status, 'already-applied', match);
+    assert.equal(matchPatch(once, pairs, { lang: 'cpp' })[0].sites[0].alreadyApplied, true);
+  }
+  const other = apply([{ match: '... init ( ) ;\n>>>\nreturn', patch: 'log();\n' }]).text;
+  assert.equal(applyPatch(other, [{ match: '... init ( ) ;\n>>>\nreturn', patch: 'trace();\n' }], { lang: 'cpp' }).results[0].status, 'failed');
+});
+
+test('match-блок только с удалением применяется без патча', () => {
+  const { text } = apply([{ match: '... foo ( ) ; <<< bar ( ) ; >>>', patch: null }]);
+  assert.doesNotMatch(text, /bar\(\)/);
+  assert.match(text, /foo\(\);/);
+});
+
+test('нумерованные маркеры: патч N — области N, удалению патч не нужен', () => {
+  const pairs = [{ match: '... void init ( ) {\n>>>1\nfoo ( ) ; <<<2 bar ( ) ; >>>2 }', patch: null, patches: ['start();\n'] }];
+  const { text } = apply(pairs);
+  assert.match(text, /void init\(\) \{\n {2}start\(\);\n {2}foo\(\);\n\s*\}/);
+  assert.doesNotMatch(text, /bar\(\)/);
+
+  const extra = [{ match: '... foo ( ) ; <<<1 bar ( ) ; >>>1', patch: null, patches: ['x();\n'] }];
+  assert.equal(apply(extra).results[0].status, 'failed');
+  assert.match(apply(extra).results[0].message, /область 1 — удаление/);
+});
+
+test('нехватка патчей к >>> ... <<< ... >>> подсказывает нумерацию', () => {
+  const { results } = apply([{ match: '... foo ( ) ; >>> bar ( ) ; <<< } >>>', patch: 'x();\n' }]);
+  assert.equal(results[0].status, 'failed');
+  assert.match(results[0].message, /Областей вставки в match-блоке: 2, а патчей к ним: 1/);
+  assert.match(results[0].message, />>>1 \.\.\. <<<2 \.\.\. >>>2/);
+});
+
+test('без точного совпадения fuzzy находит самый похожий участок', () => {
+  const pairs = [{ match: '... int main ( ) { inti ( ) ;\n>>>', patch: 'ready();\n' }];
+  assert.equal(apply(pairs).results[0].status, 'failed');
+  const { text, results } = apply(pairs, { fuzzy: 0.8 });
+  assert.equal(results[0].status, 'applied');
+  assert.ok(results[0].sites[0].fuzzy.score >= 0.8);
+  assert.match(text, /init\(\);\n {2}ready\(\);/);
+});
+
+test('matchPatch показывает места без применения', () => {
+  const [result] = matchPatch(SRC, [{ match: '... int main ( ) {\n>>>', patch: 'x();\n' }], { lang: 'cpp' });
+  assert.equal(result.status, 'matched');
+  assert.equal(result.sites[0].regions[0].startLine, 7);
+  assert.equal(result.sites[0].alreadyApplied, false);
+});
@@ -0,0 +1,98 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { planBatch, writeBatch } from '../index.js';
+import { patcher, read, tmpdir } from './helpers.js';
+
+const A = 'void a() {\n  one();\n}\n';
+const B = 'void b() {\n  two();\n}\n';
+
+const patchMd = (file, anchor, body) =>
+  `### file: ${file}\n### match\n\`\`\`cpp\n... ${anchor} ( ) {\n>>>\n\`\`\`\n### patch\n\`\`\`cpp\n${body}\n\`\`\`\n`;
+
+// Исходники в src/, наборы патчей в patches/
+function workdir(t, patches) {
+  const files = { 'src/a.cpp': A, 'src/b.cpp': B };
+  for (const [name, md] of Object.entries(patches)) files[`patches/${name}`] = md;
+  return tmpdir(t, files);
+}
+
+const batch = (dir, ...args) => patcher(dir, 'apply', 'patches', ...args);
+
+test('все патчи набора применяются и записываются вместе с журналами', t => {
+  const dir = workdir(t, {
+    '1.md': patchMd('src/a.cpp', 'void a', 'start();'),
+    '2.md': patchMd('src/b.cpp', 'void b', 'start();')
+  });
+  const run = batch(dir);
+  assert.equal(run.status, 0, run.stderr);
+  assert.equal(read(dir, 'src/a.cpp'), 'void a() {\n  start();\n  one();\n}\n');
+  assert.equal(read(dir, 'src/b.cpp'), 'void b() {\n  start();\n  two();\n}\n');
+  assert.ok(fs.existsSync(path.join(dir, 'src/.a.cpp.patchlog.json')));
+
+  assert.equal(batch(dir).status, 2);
+});
+
+test('если хоть один патч не применился, не записывается ничего', t => {
+  const dir = workdir(t, {
+    '1.md': patchMd('src/a.cpp', 'void a', 'start();'),
+    '2.md': patchMd('src/b.cpp', 'void missing', 'start();')
+  });
+  const run = batch(dir, '--json');
+  assert.equal(run.status, 1);
+  const report = JSON.parse(run.stdout);
+  assert.equal(report.ok, false);
+  assert.deepEqual(report.reports.map(r => r.status), ['applied', 'failed']);
+  assert.deepEqual(report.written, []);
+  assert.equal(read(dir, 'src/a.cpp'), A);
+  assert.equal(read(dir, 'src/b.cpp'), B);
+  assert.deepEqual(fs.readdirSync(path.join(dir, 'src')).sort(), ['a.cpp', 'b.cpp']);
+});
+
+test('ошибка записи одного файла не оставляет изменёнными остальные', t => {
+  const dir = workdir(t, {
+    '1.md': patchMd('src/a.cpp', 'void a', 'start();'),
+    '2.md': patchMd('src/b.cpp', 'void b', 'start();')
+  });
+  const plan = planBatch([path.join(dir, 'patches/1.md'), path.join(dir, 'patches/2.md')], { root: dir });
+  assert.equal(plan.ok, true);
+  // Временный файл для b.cpp не создать: на его месте каталог
+  fs.mkdirSync(path.join(dir, 'src/.b.cpp.smartpatch.tmp'));
+  assert.throws(() => writeBatch(plan), /EISDIR/);
+  assert.equal(read(dir, 'src/a.cpp'), A);
+  assert.equal(read(dir, 'src/b.cpp'), B);
+  assert.deepEqual(fs.readdirSync(path.join(dir, 'src')).sort(), ['.b.cpp.smartpatch.tmp', 'a.cpp', 'b.cpp']);
+});
+
+test('патчи к одному файлу накладываются по порядку', t => {
+  const dir = workdir(t, {
+    '1.md': patchMd('src/a.cpp', 'void a', 'first();'),
+    '2.md': '### file: src/a.cpp\n### match\n```cpp\n... first ( ) ;\n>>>\n```\n### patch\n```cpp\nsecond();\n```\n'
+  });
+  const run = batch(dir);
+  assert.equal(run.status, 0, run.stderr);
+  assert.equal(read(dir, 'src/a.cpp'), 'void a() {\n  first();\n  second();\n  one();\n}\n');
+});
+
+test('--dry-run выводит diff по всем файлам и ничего не пишет', t => {
+  const dir = workdir(t, {
+    '1.md': patchMd('src/a.cpp', 'void a', 'start();'),
+    '2.md': patchMd('src/b.cpp', 'void b', 'start();')
+  });
+  const run = batch(dir, '--dry-run');
+  assert.equal(run.status, 0, run.stderr);
+  assert.match(run.stdout, /^--- a\/src\/a\.cpp$/m);
+  assert.match(run.stdout, /^\+\+\+ b\/src\/b\.cpp$/m);
+  assert.equal(read(dir, 'src/a.cpp'), A);
+  assert.equal(read(dir, 'src/b.cpp'), B);
+});
+
+test('пример ```diff в тексте патча не срывает набор', t => {
+  const dir = workdir(t, {
+    '1.md': patchMd('src/a.cpp', 'void a', 'start();') + '\nFor reference:\n\n```diff\n--- a/src/a.cpp\n+++ b/src/a.cpp\n```\n'
+  });
+  const run = batch(dir);
+  assert.equal(run.status, 0, run.stderr);
+  assert.match(read(dir, 'src/a.cpp'), /start\(\);/);
+});
@@ -0,0 +1,95 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { SRC, patchMd, patcher, read, tmpdir } from './helpers.js';
+
+const TWO = 'void setup() {\n}\n\nint main() {\n  return 0;\n}\n';
+
+test('неоднозначный паттерн требует --occurrence или --all', t => {
+  const dir = tmpdir(t, { 'main.cpp': TWO, 'patch.md': patchMd('', 'trace();') });
+  const ambiguous = patcher(dir, '-s', 'main.cpp', '-m', 'patch.md', '--dry-run');
+  assert.notEqual(ambiguous.status, 0);
+  assert.match(ambiguous.stderr, /Паттерн неоднозначен, найдено мест вставки: 2/);
+
+  const all = patcher(dir, '-s', 'main.cpp', '-m', 'patch.md', '--dry-run', '--all');
+  assert.equal(all.status, 0, all.stderr);
+  assert.equal(all.stdout.match(/^\+\s*trace\(\);$/gm).length, 2);
+
+  const second = patcher(dir, '-s', 'main.cpp', '-m', 'patch.md', '--dry-run', '--occurrence', '2');
+  assert.equal(second.status, 0, second.stderr);
+  assert.match(second.stdout, /^ int main\(\) \{\n\+ {2}trace\(\);$/m);
+  assert.equal(second.stdout.match(/^\+ /gm).length, 1);
+});
+
+test('неудача сообщает, докуда дошёл паттерн', t => {
+  const md = '### match\n```cpp\n... int main ( ) { return 1 ;\n>>>\n```\n### patch\n```cpp\ntrace();\n```\n';
+  const dir = tmpdir(t, { 'main.cpp': SRC, 'patch.md': md });
+  const run = patcher(dir, '-s', 'main.cpp', '-m', 'patch.md', '--dry-run');
+  assert.notEqual(run.status, 0);
+  assert.match(run.stderr, /Сопоставлено токенов паттерна: 7 из 10/);
+  assert.match(run.stderr, /Ожидалось `1`, найдено `0` \(строка 2, колонка 10\)/);
+});
+
+test('захват из match-блока подставляется в патч', t => {
+  const dir = tmpdir(t, { 'main.cpp': TWO, 'patch.md': patchMd('void $name', 'log("${name}");') });
+  const run = patcher(dir, '-s', 'main.cpp', '-m', 'patch.md', '--dry-run');
+  assert.equal(run.status, 0, run.stderr);
+  assert.match(run.stdout, /^\+\s*log\("setup"\);$/m);
+});
+
+test('скобка не того вида — синтаксическая ошибка с позицией', t => {
+  const md = '### match\n```cpp\nf ( ] >>>\n```\n### patch\n```cpp\ntrace();\n```\n';
+  const dir = tmpdir(t, { 'main.cpp': SRC, 'patch.md': md });
+  const run = patcher(dir, '-s', 'main.cpp', '-m', 'patch.md', '--dry-run');
+  assert.notEqual(run.status, 0);
+  assert.match(run.stderr, /Синтаксическая ошибка в match-блоке \(строка 1, колонка 5\): скобка `\]` закрывает `\(` из строки 1, колонки 3/);
+});
+
+test('патч с синтаксической ошибкой не записывается', t => {
+  const dir = tmpdir(t, { 'main.cpp': SRC, 'patch.md': patchMd('int main', 'if (x {') });
+  const run = patcher(dir, '-s', 'main.cpp', '-m', 'patch.md', '-o', 'out.cpp');
+  assert.notEqual(run.status, 0);
+  assert.match(run.stderr, /Патч добавляет синтаксические ошибки/);
+  assert.ok(!fs.existsSync(path.join(dir, 'out.cpp')));
+
+  const unchecked = patcher(dir, '-s', 'main.cpp', '-m', 'patch.md', '--dry-run', '--no-verify');
+  assert.equal(unchecked.status, 0, unchecked.stderr);
+  assert.match(unchecked.stdout, /^\+ {2}if \(x \{$/m);
+});
+
+test('повторный запуск уже применённого патча завершается с кодом 2', t => {
+  const dir = tmpdir(t, { 'main.cpp': SRC, 'patch.md': patchMd('int main', 'init();') });
+  assert.equal(patcher(dir, '-s', 'main.cpp', '-m', 'patch.md', '-o', 'main.cpp', '-e', 'none').status, 0);
+  assert.equal(patcher(dir, '-s', 'main.cpp', '-m', 'patch.md', '-o', 'main.cpp', '-e', 'none').status, 2);
+});
+
+test('--json выводит результаты и тогда, когда ни один патч не применился', t => {
+  const dir = tmpdir(t, { 'main.cpp': SRC, 'patch.md': patchMd('int missing', 'init();') });
+  const run = patcher(dir, '-s', 'main.cpp', '-m', 'patch.md', '-o', 'out.cpp', '--json');
+  assert.notEqual(run.status, 0);
+  const report = JSON.parse(run.stdout);
+  assert.equal(report.results[0].status, 'failed');
+  assert.match(report.error, /Ни один патч не был применён/);
+  assert.ok(!fs.existsSync(path.join(dir, 'out.cpp')));
+});
+
+test('--json выводит синтаксические ошибки, если проверка отвергла результат', t => {
+  const dir = tmpdir(t, { 'main.cpp': SRC, 'patch.md': patchMd('int main', 'if (x {') });
+  const run = patcher(dir, '-s', 'main.cpp', '-m', 'patch.md', '-o', 'out.cpp', '--json');
+  assert.notEqual(run.status, 0);
+  const report = JSON.parse(run.stdout);
+  assert.ok(report.syntaxErrors.length > 0);
+  assert.ok(!fs.existsSync(path.join(dir, 'out.cpp')));
+});
+
+test('путь в команде форматтера экранируется для shell', t => {
+  const name = "it's $(a) file.cpp";
+  const dir = tmpdir(t, { [name]: SRC, 'patch.md': patchMd('int main', 'init();') });
+  // Форматтер возвращает текст как есть и отмечает, какой путь ему передали
+  const formatter = `node -e "process.stdin.pipe(process.stdout); require('fs').writeFileSync('seen.txt', process.argv[1])" {file}`;
+  const run = patcher(dir, '-s', name, '-m', 'patch.md', '-o', name, '-e', 'none', '-f', formatter);
+  assert.equal(run.status, 0, run.stderr);
+  assert.equal(path.basename(read(dir, 'seen.txt')), name);
+  assert.match(read(dir, name), /init\(\);/);
+});
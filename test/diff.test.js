@@ -0,0 +1,18 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { unifiedDiff } from '../index.js';
+
+const names = { oldName: 'a/main.cpp', newName: 'b/main.cpp' };
+
+test('unified diff: удаляемые строки группы — перед добавленными', () => {
+  const diff = unifiedDiff('int main() {\n  a();\n  b();\n  return 0;\n}\n', 'int main() {\n  x();\n  b();\n  y();\n  return 0;\n}\n', names);
+  assert.equal(diff, '--- a/main.cpp\n+++ b/main.cpp\n@@ -1,5 +1,6 @@\n int main() {\n-  a();\n+  x();\n   b();\n+  y();\n   return 0;\n }\n');
+});
+
+test('полная замена длинного файла не копит фронты по каждому шагу', () => {
+  const lines = prefix => Array.from({ length: 3000 }, (_, i) => `${prefix}${i};\n`).join('');
+  const before = process.memoryUsage().rss;
+  const diff = unifiedDiff(lines('old'), lines('new'), names);
+  assert.equal(diff.split('\n').length, 6004);
+  assert.ok(process.memoryUsage().rss - before < 100e6);
+});
@@ -0,0 +1,113 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { SRC, patchMd, patcher, read, tmpdir } from './helpers.js';
+
+// Автор и коммиттер — из окружения, чтобы не зависеть от глобальных настроек git
+Object.assign(process.env, {
+  GIT_AUTHOR_NAME: 'Test Author',
+  GIT_AUTHOR_EMAIL: 'author@example.com',
+  GIT_COMMITTER_NAME: 'Test Author',
+  GIT_COMMITTER_EMAIL: 'author@example.com',
+  GIT_CONFIG_NOSYSTEM: '1'
+});
+
+const PATCHED = 'int main() {\n  init();\n  return 0;\n}\n';
+const PATCH_MD = '### message\nCall init from main\n\nInitialization must run first.\n\n' + patchMd('int main', 'init();');
+
+const git = (cwd, ...args) => execFileSync('git', args, { cwd, encoding: 'utf8' });
+const apply = (cwd, ...args) => patcher(cwd, '-s', 'main.cpp', '-m', 'patch.md', '-e', 'none', ...args);
+
+// Временный репозиторий с закоммиченными main.cpp и patch.md
+function repo(t) {
+  const dir = tmpdir(t, { 'main.cpp': SRC, 'patch.md': PATCH_MD });
+  git(dir, 'init', '--quiet');
+  git(dir, 'add', '.');
+  git(dir, 'commit', '--quiet', '-m', 'Initial');
+  return dir;
+}
+
+test('--git не патчит файл с незакоммиченными изменениями без --force', t => {
+  const dir = repo(t);
+  fs.appendFileSync(path.join(dir, 'main.cpp'), '// local\n');
+  const refused = apply(dir, '--git');
+  assert.notEqual(refused.status, 0);
+  assert.match(refused.stderr, /Незакоммиченные изменения в main\.cpp/);
+  assert.equal(read(dir, 'main.cpp'), SRC + '// local\n');
+
+  const forced = apply(dir, '--git', '--force');
+  assert.equal(forced.status, 0, forced.stderr);
+  assert.equal(read(dir, 'main.cpp'), PATCHED + '// local\n');
+});
+
+test('--git пишет результат в --src, если файл закоммичен', t => {
+  const dir = repo(t);
+  const run = apply(dir, '--git');
+  assert.equal(run.status, 0, run.stderr);
+  assert.equal(read(dir, 'main.cpp'), PATCHED);
+  assert.equal(git(dir, 'diff', '--cached', '--name-only'), '');
+  assert.ok(!fs.existsSync(path.join(dir, '.main.cpp.patchlog.json')));
+});
+
+test('--git=stage добавляет результат в индекс', t => {
+  const dir = repo(t);
+  const run = apply(dir, '--git=stage');
+  assert.equal(run.status, 0, run.stderr);
+  assert.equal(git(dir, 'diff', '--cached', '--name-only'), 'main.cpp\n');
+  assert.equal(git(dir, 'show', ':main.cpp'), PATCHED);
+});
+
+test('--git=commit коммитит только пропатченный файл с сообщением из ### message', t => {
+  const dir = repo(t);
+  fs.writeFileSync(path.join(dir, 'other.txt'), 'staged\n');
+  git(dir, 'add', 'other.txt');
+
+  const run = apply(dir, '--git=commit', '--json');
+  assert.equal(run.status, 0, run.stderr);
+  const { commit } = JSON.parse(run.stdout);
+  assert.equal(git(dir, 'rev-parse', '--short', 'HEAD').trim(), commit);
+  assert.equal(git(dir, 'log', '-1', '--format=%B').trim(), 'Call init from main\n\nInitialization must run first.');
+  assert.equal(git(dir, 'show', '--name-only', '--format=', 'HEAD'), 'main.cpp\n');
+  assert.equal(git(dir, 'show', 'HEAD:main.cpp'), PATCHED);
+  // Чужое содержимое индекса остаётся в индексе, а журнал отмены не засоряет рабочее дерево
+  assert.equal(git(dir, 'status', '--porcelain'), 'A  other.txt\n');
+});
+
+test('--emit-git-patch не трогает рабочее дерево, а патч принимает git am', t => {
+  const dir = repo(t);
+  const run = apply(dir, '--emit-git-patch', 'change.patch');
+  assert.equal(run.status, 0, run.stderr);
+  assert.equal(read(dir, 'main.cpp'), SRC);
+  assert.ok(!fs.existsSync(path.join(dir, '.main.cpp.patchlog.json')));
+
+  const clone = path.join(dir, 'clone');
+  git(dir, 'clone', '--quiet', '.', clone);
+  git(clone, 'am', '--quiet', path.join(dir, 'change.patch'));
+  assert.equal(read(clone, 'main.cpp'), PATCHED);
+  assert.equal(git(clone, 'log', '-1', '--format=%an <%ae>%n%B').trim(),
+    'Test Author <author@example.com>\nCall init from main\n\nInitialization must run first.');
+});
+
+test('--emit-git-patch нельзя сочетать с --git', t => {
+  const dir = repo(t);
+  const run = apply(dir, '--git', '--emit-git-patch', 'change.patch');
+  assert.notEqual(run.status, 0);
+  assert.ok(!fs.existsSync(path.join(dir, 'change.patch')));
+});
+
+test('пакетный --git=commit коммитит все изменённые файлы одним коммитом', t => {
+  const dir = repo(t);
+  fs.writeFileSync(path.join(dir, 'util.cpp'), 'void util() {\n}\n');
+  fs.mkdirSync(path.join(dir, 'patches'));
+  fs.writeFileSync(path.join(dir, 'patches/1.md'), '### file: main.cpp\n' + PATCH_MD);
+  fs.writeFileSync(path.join(dir, 'patches/2.md'), '### file: util.cpp\n' + patchMd('void util', 'log();'));
+  git(dir, 'add', '.');
+  git(dir, 'commit', '--quiet', '-m', 'Add util');
+
+  const run = patcher(dir, 'apply', 'patches', '--git=commit');
+  assert.equal(run.status, 0, run.stderr);
+  assert.equal(git(dir, 'show', '--name-only', '--format=%s', 'HEAD'), 'Call init from main\n\nmain.cpp\nutil.cpp\n');
+  assert.equal(git(dir, 'status', '--porcelain'), '');
+});
@@ -0,0 +1,29 @@
+// Общие заготовки тестов, которые запускают patcher.js как CLI
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+
+export const PATCHER = fileURLToPath(new URL('../patcher.js', import.meta.url));
+
+export const SRC = 'int main() {\n  return 0;\n}\n';
+
+// Markdown с одной парой: вставка body в начало тела функции с заголовком anchor
+export const patchMd = (anchor, body) =>
+  `### match\n\`\`\`cpp\n... ${anchor} ( ) {\n>>>\n\`\`\`\n### patch\n\`\`\`cpp\n${body}\n\`\`\`\n`;
+
+// Временный каталог с файлами { путь: содержимое }; удаляется после теста
+export function tmpdir(t, files = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'smartpatcher-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  for (const [name, text] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+    fs.writeFileSync(path.join(dir, name), text);
+  }
+  return dir;
+}
+
+export const patcher = (cwd, ...args) => spawnSync(process.execPath, [PATCHER, ...args], { cwd, encoding: 'utf8' });
+
+export const read = (dir, file) => fs.readFileSync(path.join(dir, file), 'utf8');
@@ -0,0 +1,77 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { patchMd, patcher, read, tmpdir } from './helpers.js';
+
+const SRC = `void init() {
+  foo();
+}
+
+int main() {
+  init();
+  return 0;
+}
+`;
+
+function workdir(t) {
+  return tmpdir(t, {
+    'main.cpp': SRC,
+    'init.md': patchMd('void init', 'trace("init");'),
+    'main.md': patchMd('int main', 'trace("main");')
+  });
+}
+
+// Запуск, который обязан завершиться успешно; возвращает stdout
+function ok(dir, ...args) {
+  const run = patcher(dir, ...args);
+  assert.equal(run.status, 0, run.stderr);
+  return run.stdout;
+}
+
+const apply = (dir, md) => ok(dir, '-s', 'main.cpp', '-m', md, '-o', 'main.cpp', '-e', 'none');
+
+test('revert откатывает последний патч, затем следующий, и удаляет журнал', t => {
+  const dir = workdir(t);
+  apply(dir, 'init.md');
+  const afterInit = read(dir, 'main.cpp');
+  apply(dir, 'main.md');
+  assert.ok(fs.existsSync(path.join(dir, '.main.cpp.patchlog.json')));
+
+  assert.match(ok(dir, 'revert', 'main.cpp'), /Reverted patch #2 at 7:1/);
+  assert.equal(read(dir, 'main.cpp'), afterInit);
+  ok(dir, 'revert', 'main.cpp');
+  assert.equal(read(dir, 'main.cpp'), SRC);
+  assert.ok(!fs.existsSync(path.join(dir, '.main.cpp.patchlog.json')));
+});
+
+test('revert --id откатывает ранний патч, и поздний после этого тоже откатывается', t => {
+  const dir = workdir(t);
+  apply(dir, 'init.md');
+  apply(dir, 'main.md');
+
+  ok(dir, 'revert', 'main.cpp', '--id', '1');
+  const text = read(dir, 'main.cpp');
+  assert.doesNotMatch(text, /trace\("init"\)/);
+  assert.match(text, /int main\(\) \{\n {2}trace\("main"\);\n {2}init\(\);/);
+
+  ok(dir, 'revert', 'main.cpp', '--id', '2');
+  assert.equal(read(dir, 'main.cpp'), SRC);
+});
+
+test('revert --all откатывает все патчи', t => {
+  const dir = workdir(t);
+  apply(dir, 'init.md');
+  apply(dir, 'main.md');
+  ok(dir, 'revert', 'main.cpp', '--all');
+  assert.equal(read(dir, 'main.cpp'), SRC);
+});
+
+test('revert отказывается, если файл изменён вручную на месте патча', t => {
+  const dir = workdir(t);
+  apply(dir, 'main.md');
+  fs.writeFileSync(path.join(dir, 'main.cpp'), read(dir, 'main.cpp').replace('trace("main")', 'trace("edited")'));
+  const run = patcher(dir, 'revert', 'main.cpp');
+  assert.notEqual(run.status, 0);
+  assert.match(read(dir, 'main.cpp'), /trace\("edited"\)/);
+});
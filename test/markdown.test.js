@@ -0,0 +1,96 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { applyPatch, extractBlocks, extractMessage } from '../index.js';
+
+const pair = (match, patch) => ({ match, patch, file: null });
+
+test('ограды ~~~ и заголовки уровней 2–4', () => {
+  const md = '## Match\n~~~cpp\nint f ( ) {\n>>>\n~~~\n#### Patch\n~~~cpp\nx();\n~~~\n';
+  assert.deepEqual(extractBlocks(md), [pair('int f ( ) {\n>>>\n', 'x();\n')]);
+});
+
+test('русские заголовки и нумерованные патчи', () => {
+  const md = '### Совпадение\n```cpp\n>>> a <<< b\n>>>\n```\n### Патч 1\n```\n1\n```\n### патч #2\n```\n2\n```\n';
+  assert.deepEqual(extractBlocks(md), [{ match: '>>> a <<< b\n>>>\n', patch: null, file: null, patches: ['1\n', '2\n'] }]);
+});
+
+test('вложенная ограда остаётся частью патча', () => {
+  const md = '### match\n```md\n... ## Usage >>>\n```\n### patch\n```md\nExample:\n```js\nfoo();\n```\nend\n```\n';
+  assert.equal(extractBlocks(md)[0].patch, 'Example:\n```js\nfoo();\n```\nend\n');
+});
+
+test('целевой файл из ### file: и из info-строки', () => {
+  const md = '### file: src/a.cpp\n### match\n```cpp\nf ( ) >>>\n```\n### patch\n```cpp\nx();\n```\n' +
+    '### match\n```cpp:src/b.cpp\ng ( ) >>>\n```\n### patch\n```cpp\ny();\n```\n';
+  assert.deepEqual(extractBlocks(md).map(p => p.file), ['src/a.cpp', 'src/b.cpp']);
+});
+
+test('заголовок, где слово patch лишь встречается, — не раздел', () => {
+  const md = '## Patch notes\nRun:\n```sh\nmake test\n```\n## Патч 1: логирование\n### match\n```cpp\n... f ( ) {\n>>>\n```\n### patch\n```cpp\nlog();\n```\n';
+  assert.deepEqual(extractBlocks(md), [pair('... f ( ) {\n>>>\n', 'log();\n')]);
+  assert.deepEqual(extractBlocks('### 1. match\n```\n>>>\n```\n### 1. Patch:\n```\nx();\n```\n'), [pair('>>>\n', 'x();\n')]);
+});
+
+test('раздел без блока кода — ошибка со строкой, заголовок-обёртка допустим', () => {
+  assert.throws(() => extractBlocks('### match\n```\n>>>\n```\n### patch\nx();\n### file: a.cpp\n'),
+    /^Error: Строка 5: после заголовка «patch» нет блока кода/);
+  assert.throws(() => extractBlocks('### match\n```\n>>>\n```\n### Patch\n'), /Строка 5: после заголовка «Patch»/);
+  const md = '## Patch 1\n### match\n```\n>>>\n```\n### patch\n```\nx();\n```\n';
+  assert.deepEqual(extractBlocks(md), [pair('>>>\n', 'x();\n')]);
+});
+
+test('незаконченная пара — ошибка со строкой', () => {
+  assert.throws(() => extractBlocks('### match\n```\n>>> a <<< b >>>\n```\n### patch 2\n```\n2\n```\n'),
+    /Нет блока ### patch 1 к match-блоку из строки 1/);
+  assert.throws(() => extractBlocks('### match\n```cpp\n... f ( ) {\n>>>\n'), /Строка 2: блок кода не закрыт/);
+  assert.throws(() => extractBlocks('### match\n```\n>>>\n```\n### patch 1\n```\n1\n```\n### patch 1\n```\n2\n```\n'),
+    /Строка 9: блок ### patch 1 указан дважды/);
+});
+
+test('у пары без match- или patch-блока — строка заголовка', () => {
+  const md = '### patch\n```\nx();\n```\n### match\n```\nf ( ) >>>\n```\n';
+  assert.deepEqual(extractBlocks(md).map(p => p.line), [1, 5]);
+  const { results } = applyPatch('f();\n', md, { lang: 'cpp' });
+  assert.deepEqual(results.map(r => r.message), ['Строка 1: нет match-блока к patch-блоку', 'Строка 5: нет patch-блока к match-блоку']);
+});
+
+test('при нумерованных маркерах пропуск в ### patch N допустим', () => {
+  const md = '### match\n```\n<<<1 a >>>1 b >>>2\n```\n### patch 2\n```\n2\n```\n';
+  assert.deepEqual([...extractBlocks(md)[0].patches], [undefined, '2\n']);
+});
+
+test('блок ```diff patch становится парой match/patch', () => {
+  const md = 'Some text\n```diff patch file=src/a.cpp\nvoid init() {\n+  bar();\n  setup();\n+  tail();\n}\n```\n';
+  assert.deepEqual(extractBlocks(md), [{
+    match: '...\nvoid init() {\n>>>\n  setup();\n>>>\n}\n',
+    patch: null,
+    patches: ['  bar();\n', '  tail();\n'],
+    file: 'src/a.cpp'
+  }]);
+});
+
+test('первый блок раздела ### diff — тоже пара', () => {
+  const md = '### diff\n```\nvoid init() {\n+  bar();\n```\n';
+  assert.deepEqual(extractBlocks(md), [pair('...\nvoid init() {\n>>>\n', '  bar();\n')]);
+});
+
+test('блок ```diff без пометки — пример в тексте, а не патч', () => {
+  const md = '### match\n```\n... void init ( ) {\n>>>\n```\n### patch\n```\none();\n```\n\n' +
+    'For reference:\n\n```diff\n--- a/a.cpp\n+++ b/a.cpp\n@@ -18,2 +18,3 @@\n void init() {\n+  one();\n```\n';
+  assert.deepEqual(extractBlocks(md), [pair('... void init ( ) {\n>>>\n', 'one();\n')]);
+  assert.throws(() => extractBlocks('```diff\nvoid init() {\n+  bar();\n```\n'), /без пометки patch считается примером/);
+});
+
+test('строки -, ---, +++ и @@ в diff-блоке — ошибка с номером строки', () => {
+  assert.throws(() => extractBlocks('### diff\n```\nvoid init() {\n-  bar();\n```\n'), /^Error: Строка 4: строки с -/);
+  assert.throws(() => extractBlocks('```diff patch\n\n--- a/a.cpp\n```\n'), /^Error: Строка 3: «---»/);
+  assert.throws(() => extractBlocks('```diff patch\n+++ b/a.cpp\n```\n'), /^Error: Строка 2: «\+\+\+»/);
+  assert.throws(() => extractBlocks('```diff patch\n@@ -1 +1 @@\n```\n'), /^Error: Строка 2: «@@»/);
+  assert.throws(() => extractBlocks('```diff patch\n+x\n```\n'), /нет строк контекста/);
+});
+
+test('сообщение коммита из ### message', () => {
+  assert.equal(extractMessage('## Message\nFix it\n## match\n'), 'Fix it');
+  assert.equal(extractMessage('### message\n```\nSubject\n\nBody\n```\n'), 'Subject\n\nBody');
+  assert.equal(extractMessage('### match\n```\n>>>\n```\n'), null);
+});
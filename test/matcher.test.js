@@ -0,0 +1,80 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { lexMatch, getLeafTokens, findMatchSites } from '../index.js';
+
+const SRC = `#include <stdio.h>
+
+void setup() {
+  puts("setup");
+}
+
+int main() {
+  setup();
+  return 0;
+}
+`;
+
+const sitesOf = (pattern, src = SRC) => findMatchSites(getLeafTokens(src), lexMatch(pattern), src.length);
+const kinds = site => site.regions.map(r => r.kind);
+
+test('wildcard доходит до якоря, вставка — перед следующим токеном', () => {
+  const sites = sitesOf('... int main ( ) {\n>>>');
+  assert.equal(sites.length, 1);
+  assert.ok(SRC.slice(sites[0].insertionOffset).startsWith('setup();'));
+});
+
+test('паттерн, подходящий к нескольким местам, даёт все места по порядку', () => {
+  const sites = sitesOf('... ( ) {\n>>>');
+  assert.deepEqual(sites.map(s => SRC.slice(s.insertionOffset).split('\n')[0]), ['puts("setup");', 'setup();']);
+});
+
+test('skipper пропускает до цели', () => {
+  const [site] = sitesOf('... int main ._. return >>> 0 ;');
+  assert.ok(SRC.slice(site.insertionOffset).startsWith('0;'));
+});
+
+test('} после wildcard — закрывающая скобка того же блока', () => {
+  const [site] = sitesOf('... int main ( ) { ... >>> }');
+  assert.equal(site.insertionOffset, SRC.lastIndexOf('}'));
+});
+
+test('>>> ... <<< заменяет участок между маркерами', () => {
+  const [site] = sitesOf('... return >>> 0 <<< ;');
+  assert.deepEqual(kinds(site), ['replace']);
+  assert.equal(SRC.slice(site.regions[0].start, site.regions[0].end), '0');
+});
+
+test('маркеры без номеров: >>> ... <<< ... >>> читается как замена и вставка', () => {
+  const [site] = sitesOf('... setup ( ) ; >>> return <<< 0 >>> ;');
+  assert.deepEqual(kinds(site), ['replace', 'insert']);
+});
+
+test('нумерованные маркеры: вставка перед удалением', () => {
+  const [site] = sitesOf('... setup ( ) ; >>>1 return <<<2 0 >>>2 ;');
+  assert.deepEqual(kinds(site), ['insert', 'delete']);
+  assert.equal(SRC.slice(site.regions[1].start, site.regions[1].end), '0');
+});
+
+test('ошибки в маркерах сообщаются с позицией в match-блоке', () => {
+  assert.throws(() => lexMatch('... >>>1 foo ( ) ; <<< bar'), /колонка 20\).*без номера/);
+  assert.throws(() => lexMatch('... <<<1 foo ; >>>1 bar ; <<<1'), /область 1 уже задана/);
+  assert.throws(() => lexMatch('... <<<2 foo ;'), /`<<<2` без пары/);
+  assert.throws(() => lexMatch('... >>> ...'), /не задаёт места вставки/);
+  assert.throws(() => lexMatch('... <<< foo ;'), /`<<<` без пары/);
+});
+
+test('escape-последовательность в строке — отдельный токен, как в исходнике', () => {
+  const src = 'int main() {\n  printf("hi\\n\\x41");\n  return 0;\n}\n';
+  const [site] = sitesOf('... printf ( "hi\\n\\x41" ) ;\n>>>', src);
+  assert.ok(src.slice(site.insertionOffset).startsWith('return 0;'));
+  assert.deepEqual(lexMatch('"a\\tb"').map(t => t.text), ['"', 'a', '\\t', 'b', '"']);
+});
+
+test('wildcard внутри ( ... ) не выходит за парную скобку исходника', () => {
+  const src = 'int f(int a) {\n  if (a > 0) {\n    g(a);\n  }\n}\n';
+  const sites = sitesOf('int f ( ... ) {\n>>>', src);
+  assert.equal(sites.length, 1);
+  assert.ok(src.slice(sites[0].insertionOffset).startsWith('if (a > 0)'));
+  assert.throws(() => sitesOf('... h ( ... ) ;\n>>>', 'x = h(g(1), 2) + k(3);\n'));
+  assert.equal(sitesOf('... h ( ... ) +\n>>>', 'x = h(g(1), 2) + k(3);\n').length, 1);
+});
@@ -0,0 +1,59 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { PATCHER, SRC, patchMd, read, tmpdir } from './helpers.js';
+
+const MARKDOWN = patchMd('int main', 'init();');
+
+// Запросы по одному JSON на строку; ответы — в том же порядке
+function serve(requests, cwd) {
+  const input = requests.map(r => JSON.stringify(r)).join('\n') + '\n';
+  const run = spawnSync(process.execPath, [PATCHER, 'serve'], { cwd, input, encoding: 'utf8', timeout: 60000 });
+  assert.equal(run.status, 0, run.stderr);
+  return run.stdout.trim().split('\n').map(line => JSON.parse(line));
+}
+
+const request = (id, method, params) => ({ jsonrpc: '2.0', id, method, params });
+
+test('match и preview работают с текстом несохранённого буфера', () => {
+  const [match, preview] = serve([
+    request(1, 'match', { text: SRC, lang: 'cpp', markdown: MARKDOWN }),
+    request(2, 'preview', { text: SRC, lang: 'cpp', markdown: MARKDOWN, format: 'diff' })
+  ]);
+  assert.equal(match.result.results[0].status, 'matched');
+  assert.equal(match.result.results[0].sites[0].regions[0].startLine, 2);
+  assert.equal(preview.result.changed, true);
+  assert.match(preview.result.diff, /^\+ {2}init\(\);$/m);
+});
+
+test('apply записывает файл и журнал', t => {
+  const dir = tmpdir(t, { 'main.cpp': SRC });
+  const [reply] = serve([request(1, 'apply', { file: 'main.cpp', markdown: MARKDOWN })], dir);
+  assert.equal(reply.result.written, true);
+  assert.equal(read(dir, 'main.cpp'), 'int main() {\n  init();\n  return 0;\n}\n');
+  assert.ok(fs.existsSync(path.join(dir, '.main.cpp.patchlog.json')));
+});
+
+test('коды ошибок JSON-RPC — всегда числа', () => {
+  const [missing, unknown, invalid] = serve([
+    request(1, 'match', { file: path.join(os.tmpdir(), 'smartpatcher-missing.cpp'), markdown: MARKDOWN }),
+    request(2, 'frobnicate', {}),
+    request(3, 'preview', { text: SRC, lang: 'cpp', markdown: MARKDOWN, format: 'html' })
+  ]);
+  assert.equal(missing.error.code, -32000);
+  assert.match(missing.error.message, /ENOENT/);
+  assert.equal(unknown.error.code, -32601);
+  assert.equal(invalid.error.code, -32602);
+});
+
+test('сообщения с заголовком Content-Length получают ответ в том же виде', () => {
+  const body = JSON.stringify(request(7, 'match', { text: SRC, lang: 'cpp', markdown: MARKDOWN }));
+  const input = `Content-Length: ${Buffer.byteLength(body)}\r\n\r\n${body}`;
+  const run = spawnSync(process.execPath, [PATCHER, 'serve'], { input, encoding: 'utf8', timeout: 60000 });
+  const [, length, reply] = /^Content-Length: (\d+)\r\n\r\n([\s\S]*)$/.exec(run.stdout);
+  assert.equal(Buffer.byteLength(reply), Number(length));
+  assert.equal(JSON.parse(reply).id, 7);
+});